@@ -0,0 +1,55 @@
+import { ManualFrameDriver } from 'ember-task-scheduler/-private/frame-drivers';
+
+/**
+ * Manual frame driver whose time only moves when told.
+ *
+ * @namespace App
+ * @class FakeClock
+ * @extends ManualFrameDriver
+ * @private
+ */
+export default class FakeClock extends ManualFrameDriver {
+  /**
+   * Current time in milliseconds.
+   *
+   * @property time
+   * @type Float
+   * @private
+   */
+  time = 0;
+
+  /**
+   * Return current time in milliseconds.
+   *
+   * @method now
+   * @return Float
+   * @private
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Move the time forward.
+   *
+   * @method tick
+   * @param {Float} milliseconds
+   * @private
+   */
+  tick(milliseconds) {
+    this.time += milliseconds;
+  }
+
+  /**
+   * Move the time forward to next frame and run its callbacks.
+   *
+   * @method runFrame
+   * @param {Float} elapsed Milliseconds since previous frame.
+   * @private
+   */
+  runFrame(elapsed) {
+    this.tick(elapsed);
+
+    super.runFrame();
+  }
+}
@@ -0,0 +1,115 @@
+import { assert } from '@ember/debug';
+import { getContext, settled } from '@ember/test-helpers';
+import { setClock } from 'ember-task-scheduler/-private/clock';
+import FakeClock from './fake-clock';
+
+const FPS = 60;
+const MILLISECONDS = 1000;
+
+let currentClock = null;
+
+/**
+ * Return the fake clock of current test.
+ *
+ * @method getClock
+ * @return FakeClock
+ * @private
+ */
+function getClock() {
+  assert(
+    'Could not find a fake clock. Call `setupScheduler(hooks)` in your test module',
+    currentClock
+  );
+
+  return currentClock;
+}
+
+/**
+ * Replace the frames and the clock of the scheduler with fake ones on each
+ * test of a module.
+ *
+ * Frames only run when the test asks for them, so `settled` does not wait for
+ * scheduled tasks anymore.
+ *
+ * @method setupScheduler
+ * @param {Object} hooks
+ * @public
+ */
+export function setupScheduler(hooks) {
+  hooks.beforeEach(function () {
+    currentClock = new FakeClock();
+
+    setClock(currentClock);
+  });
+
+  hooks.afterEach(function () {
+    setClock(null);
+
+    currentClock = null;
+  });
+}
+
+/**
+ * Move the fake clock forward without running a frame.
+ *
+ * When it is called inside a task, the task is measured as taking that time.
+ *
+ * @method advanceTime
+ * @param {Float} milliseconds
+ * @public
+ */
+export function advanceTime(milliseconds) {
+  getClock().tick(milliseconds);
+}
+
+/**
+ * Run next frame of the scheduler and wait for settled.
+ *
+ * Options:
+ *  * elapsed: milliseconds since previous frame. Defaults to a frame at 60 FPS.
+ *
+ * @method runNextFrame
+ * @param {Object} [options]
+ * @return Promise
+ * @public
+ */
+export function runNextFrame({ elapsed = MILLISECONDS / FPS } = {}) {
+  getClock().runFrame(elapsed);
+
+  return settled();
+}
+
+/**
+ * Run a number of frames of the scheduler.
+ *
+ * It accepts the same options as `runNextFrame`.
+ *
+ * @method advanceFrames
+ * @param {Number} [frames=1]
+ * @param {Object} [options]
+ * @return Promise
+ * @public
+ */
+export async function advanceFrames(frames = 1, options) {
+  for (let i = 0; i < frames; i++) {
+    await runNextFrame(options);
+  }
+}
+
+/**
+ * Run all pending tasks of the scheduler now and wait for settled.
+ *
+ * It uses `flush` method of the scheduler, so recurring tasks and retries
+ * keep waiting for their frames. The scheduler service of the test owner is
+ * used unless a scheduler is given.
+ *
+ * @method flushScheduler
+ * @param {SchedulerService} [scheduler]
+ * @return Promise
+ * @public
+ */
+export function flushScheduler(scheduler) {
+  (scheduler || getContext().owner.lookup('service:scheduler')).flush();
+
+  return settled();
+}
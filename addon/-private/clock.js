@@ -0,0 +1,25 @@
+let clock = null;
+
+/**
+ * Replace the frame driver of every scheduler with a clock (ie: the fake
+ * clock of test helpers). Schedulers use their own frame driver again when no
+ * clock is given.
+ *
+ * @method setClock
+ * @param {FrameDriver} [newClock]
+ * @private
+ */
+export function setClock(newClock) {
+  clock = newClock || null;
+}
+
+/**
+ * Return the clock that replaces the frame driver of every scheduler, if any.
+ *
+ * @method getClock
+ * @return FrameDriver
+ * @private
+ */
+export function getClock() {
+  return clock;
+}
@@ -0,0 +1,52 @@
+/**
+ * Error used to reject the promise of a task when it is cancelled.
+ *
+ * @namespace App
+ * @class TaskCancelledError
+ * @extends Error
+ * @public
+ */
+export class TaskCancelledError extends Error {
+  name = 'TaskCancelledError';
+
+  /**
+   * @constructor
+   * @param {String} message
+   */
+  constructor(message = 'The task was cancelled') {
+    super(message);
+  }
+}
+
+/**
+ * Error used to reject the promise of a task when its deadline has passed
+ * before it could run.
+ *
+ * @namespace App
+ * @class TaskExpiredError
+ * @extends TaskCancelledError
+ * @public
+ */
+export class TaskExpiredError extends TaskCancelledError {
+  name = 'TaskExpiredError';
+
+  /**
+   * @constructor
+   * @param {String} message
+   */
+  constructor(message = 'The task expired before running') {
+    super(message);
+  }
+}
+
+/**
+ * Return when the error is a cancellation of a task.
+ *
+ * @method isTaskCancelledError
+ * @param {Mixed} error
+ * @return Boolean
+ * @public
+ */
+export function isTaskCancelledError(error) {
+  return error instanceof TaskCancelledError;
+}
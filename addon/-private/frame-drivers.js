@@ -0,0 +1,496 @@
+import { assert } from '@ember/debug';
+import { DEFAULT_PRIORITY } from './priority';
+
+export const RAF = 'raf';
+export const TIMEOUT = 'timeout';
+export const MESSAGE_CHANNEL = 'message-channel';
+export const MANUAL = 'manual';
+export const POST_TASK = 'post-task';
+
+const IDLE_DELAY = 1;
+const IDLE_BUDGET = 50;
+const MILLISECONDS_PER_FRAME = 1000 / 60;
+
+/**
+ * Available frame drivers.
+ *
+ *  * raf: frames are animation frames of the browser.
+ *  * timeout: frames are timers at the rate of the scheduler.
+ *  * message-channel: frames are macrotasks posted through a `MessageChannel`.
+ *  * manual: frames are run on demand with `runFrame`.
+ *  * post-task: frames are native prioritized tasks of `scheduler.postTask`.
+ *
+ * @property FRAME_DRIVERS
+ * @type Array
+ * @private
+ */
+export const FRAME_DRIVERS = [RAF, TIMEOUT, MESSAGE_CHANNEL, MANUAL, POST_TASK];
+
+/**
+ * Source of frames, idle periods and time of the scheduler.
+ *
+ * Subclasses implement the following methods:
+ *  * requestFrame(callback, interval, priority): call a function with the time
+ *    on next frame. The interval is the milliseconds per frame of the
+ *    scheduler and the priority is the one of its most urgent task. It
+ *    returns an identifier of the request.
+ *  * cancelFrame(id): cancel a requested frame.
+ *  * prioritizeFrame(id, priority): optional. Change the priority of a
+ *    requested frame when a more urgent task is scheduled.
+ *
+ * Timers of the hidden loop use `setTimeout` unless `requestTimer` and
+ * `cancelTimer` are overridden.
+ *
+ * Globals are read on each call, so drivers can be created where they do not
+ * exist (ie: FastBoot or web workers) as long as they are not used.
+ *
+ * Idle callbacks use `requestIdleCallback` when available, otherwise they
+ * fall back to a timer with a fixed budget.
+ *
+ * @namespace App
+ * @class FrameDriver
+ * @public
+ */
+export class FrameDriver {
+  /**
+   * Whether frames are run on demand. Test waiters do not wait for them.
+   *
+   * @property manual
+   * @type Boolean
+   * @public
+   */
+  manual = false;
+
+  /**
+   * Return current time in milliseconds.
+   *
+   * @method now
+   * @return Float
+   * @public
+   */
+  now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  }
+
+  /**
+   * Call a function with the time after an interval in milliseconds.
+   *
+   * @method requestTimer
+   * @param {Function} callback
+   * @param {Number} interval
+   * @return Mixed Identifier of the request.
+   * @public
+   */
+  requestTimer(callback, interval) {
+    return setTimeout(() => callback(this.now()), interval);
+  }
+
+  /**
+   * Cancel a requested timer.
+   *
+   * @method cancelTimer
+   * @param {Mixed} id
+   * @public
+   */
+  cancelTimer(id) {
+    clearTimeout(id);
+  }
+
+  /**
+   * Call a function with an idle deadline when idle.
+   *
+   * @method requestIdle
+   * @param {Function} callback
+   * @param {Object} [options]
+   * @return Mixed Identifier of the request.
+   * @public
+   */
+  requestIdle(callback, options) {
+    // istanbul ignore else: browser support
+    if (typeof requestIdleCallback === 'function') {
+      return requestIdleCallback(callback, options);
+    }
+
+    // istanbul ignore next: browser support
+    return setTimeout(() => {
+      const startTime = this.now();
+
+      callback({
+        didTimeout: false,
+        timeRemaining: () =>
+          Math.max(0, IDLE_BUDGET - (this.now() - startTime)),
+      });
+    }, IDLE_DELAY);
+  }
+
+  /**
+   * Cancel a requested idle callback.
+   *
+   * @method cancelIdle
+   * @param {Mixed} id
+   * @public
+   */
+  cancelIdle(id) {
+    // istanbul ignore else: browser support
+    if (typeof cancelIdleCallback === 'function') {
+      cancelIdleCallback(id);
+    } else {
+      clearTimeout(id);
+    }
+  }
+}
+
+/**
+ * Frame driver of browser animation frames.
+ *
+ * @namespace App
+ * @class RafFrameDriver
+ * @extends FrameDriver
+ * @private
+ */
+class RafFrameDriver extends FrameDriver {
+  requestFrame(callback) {
+    return requestAnimationFrame(callback);
+  }
+
+  cancelFrame(id) {
+    cancelAnimationFrame(id);
+  }
+}
+
+/**
+ * Frame driver of timers at the rate of the scheduler.
+ *
+ * @namespace App
+ * @class TimeoutFrameDriver
+ * @extends FrameDriver
+ * @private
+ */
+class TimeoutFrameDriver extends FrameDriver {
+  requestFrame(callback, interval = MILLISECONDS_PER_FRAME) {
+    return setTimeout(() => callback(this.now()), interval);
+  }
+
+  cancelFrame(id) {
+    clearTimeout(id);
+  }
+}
+
+/**
+ * Frame driver of macrotasks posted through a `MessageChannel`.
+ *
+ * Frames run as soon as possible, so it fits background contexts without
+ * rendering. The channel is open only while there are requested frames.
+ *
+ * @namespace App
+ * @class MessageChannelFrameDriver
+ * @extends FrameDriver
+ * @private
+ */
+class MessageChannelFrameDriver extends FrameDriver {
+  /**
+   * Last identifier of requested frames.
+   *
+   * @property _lastId
+   * @type Number
+   * @private
+   */
+  _lastId = 0;
+
+  /**
+   * Callbacks of requested frames by identifier.
+   *
+   * @property _callbacks
+   * @type Map
+   * @private
+   */
+  _callbacks = new Map();
+
+  /**
+   * Channel whose messages run the frames.
+   *
+   * @property _channel
+   * @type MessageChannel
+   * @private
+   */
+  _channel = null;
+
+  requestFrame(callback) {
+    const id = ++this._lastId;
+
+    if (!this._channel) {
+      this._channel = new MessageChannel();
+      this._channel.port1.onmessage = ({ data }) => this._runFrame(data);
+    }
+
+    this._callbacks.set(id, callback);
+    this._channel.port2.postMessage(id);
+
+    return id;
+  }
+
+  cancelFrame(id) {
+    this._callbacks.delete(id);
+    this._close();
+  }
+
+  /**
+   * Run the callback of a requested frame unless it was cancelled.
+   *
+   * @method _runFrame
+   * @param {Number} id
+   * @private
+   */
+  _runFrame(id) {
+    const callback = this._callbacks.get(id);
+
+    this._callbacks.delete(id);
+    this._close();
+
+    if (callback) {
+      callback(this.now());
+    }
+  }
+
+  /**
+   * Close the channel when there are no requested frames, so it does not keep
+   * alive the process (ie: FastBoot).
+   *
+   * @method _close
+   * @private
+   */
+  _close() {
+    if (this._channel && this._callbacks.size === 0) {
+      this._channel.port1.close();
+
+      this._channel = null;
+    }
+  }
+}
+
+/**
+ * Frame driver whose frames are run on demand with `runFrame`.
+ *
+ * Timers are run as frame callbacks and idle callbacks run after the frame
+ * callbacks of each frame.
+ *
+ * @namespace App
+ * @class ManualFrameDriver
+ * @extends FrameDriver
+ * @public
+ */
+export class ManualFrameDriver extends FrameDriver {
+  manual = true;
+
+  /**
+   * Last identifier of requested callbacks.
+   *
+   * @property _lastId
+   * @type Number
+   * @private
+   */
+  _lastId = 0;
+
+  /**
+   * Callbacks requested for next frame by identifier.
+   *
+   * @property _frames
+   * @type Map
+   * @private
+   */
+  _frames = new Map();
+
+  /**
+   * Idle callbacks by identifier.
+   *
+   * @property _idles
+   * @type Map
+   * @private
+   */
+  _idles = new Map();
+
+  requestFrame(callback) {
+    this._frames.set(++this._lastId, callback);
+
+    return this._lastId;
+  }
+
+  cancelFrame(id) {
+    this._frames.delete(id);
+  }
+
+  requestTimer(callback) {
+    return this.requestFrame(callback);
+  }
+
+  cancelTimer(id) {
+    this.cancelFrame(id);
+  }
+
+  requestIdle(callback) {
+    this._idles.set(++this._lastId, callback);
+
+    return this._lastId;
+  }
+
+  cancelIdle(id) {
+    this._idles.delete(id);
+  }
+
+  /**
+   * Run the callbacks of next frame and then the idle callbacks.
+   *
+   * Frame callbacks requested while running are left for the following
+   * frame. Idle callbacks requested while running frame callbacks run on the
+   * same frame.
+   *
+   * @method runFrame
+   * @public
+   */
+  runFrame() {
+    const frames = [...this._frames.values()];
+
+    this._frames.clear();
+
+    frames.forEach((callback) => callback(this.now()));
+
+    const idles = [...this._idles.values()];
+    const deadline = this.now() + IDLE_BUDGET;
+
+    this._idles.clear();
+
+    idles.forEach((callback) =>
+      callback({
+        didTimeout: false,
+        timeRemaining: () => Math.max(0, deadline - this.now()),
+      })
+    );
+  }
+}
+
+/**
+ * Frame driver of native prioritized tasks.
+ *
+ * Each frame is posted with `scheduler.postTask` at the priority of the most
+ * urgent task of the scheduler, so the browser decides when it runs. Frames
+ * are cancelled and prioritized through a `TaskController`.
+ *
+ * @namespace App
+ * @class PostTaskFrameDriver
+ * @extends FrameDriver
+ * @private
+ */
+class PostTaskFrameDriver extends FrameDriver {
+  /**
+   * Last identifier of requested frames.
+   *
+   * @property _lastId
+   * @type Number
+   * @private
+   */
+  _lastId = 0;
+
+  /**
+   * Controllers of requested frames by identifier.
+   *
+   * @property _controllers
+   * @type Map
+   * @private
+   */
+  _controllers = new Map();
+
+  requestFrame(callback, interval, priority = DEFAULT_PRIORITY) {
+    const id = ++this._lastId;
+    const controller = new window.TaskController({ priority });
+
+    this._controllers.set(id, controller);
+
+    window.scheduler
+      .postTask(
+        () => {
+          this._controllers.delete(id);
+
+          callback(this.now());
+        },
+        { signal: controller.signal }
+      )
+      // Cancelled frames are rejected with an abort error.
+      .catch(() => {});
+
+    return id;
+  }
+
+  cancelFrame(id) {
+    this._controllers.get(id)?.abort();
+    this._controllers.delete(id);
+  }
+
+  prioritizeFrame(id, priority) {
+    const controller = this._controllers.get(id);
+
+    if (controller && controller.signal.priority !== priority) {
+      controller.setPriority(priority);
+    }
+  }
+}
+
+/**
+ * Return when the browser has native prioritized tasks.
+ *
+ * @method hasPostTask
+ * @return Boolean
+ * @private
+ */
+function hasPostTask() {
+  return (
+    typeof window !== 'undefined' &&
+    typeof window.scheduler?.postTask === 'function' &&
+    typeof window.TaskController === 'function'
+  );
+}
+
+/**
+ * Return the name of the default frame driver of current context.
+ *
+ * Contexts without animation frames (ie: FastBoot or web workers) use timers.
+ *
+ * @method defaultFrameDriver
+ * @return String
+ * @private
+ */
+function defaultFrameDriver() {
+  // istanbul ignore next: browser support
+  return typeof requestAnimationFrame === 'function' ? RAF : TIMEOUT;
+}
+
+/**
+ * Create a frame driver by its name.
+ *
+ * When native prioritized tasks are not available, `post-task` falls back to
+ * the default frame driver.
+ *
+ * @method createFrameDriver
+ * @param {String} [name]
+ * @return FrameDriver
+ * @private
+ */
+export function createFrameDriver(name = defaultFrameDriver()) {
+  assert(
+    `Could not find a valid frame driver: ${name}`,
+    FRAME_DRIVERS.includes(name)
+  );
+
+  switch (name) {
+    case TIMEOUT:
+      return new TimeoutFrameDriver();
+    case MESSAGE_CHANNEL:
+      return new MessageChannelFrameDriver();
+    case MANUAL:
+      return new ManualFrameDriver();
+    case POST_TASK:
+      // istanbul ignore next: browser support
+      return hasPostTask() ? new PostTaskFrameDriver() : createFrameDriver();
+    default:
+      return new RafFrameDriver();
+  }
+}
@@ -0,0 +1,118 @@
+const SMOOTHING = 0.2;
+const MAX_INTERVAL = 100;
+
+/**
+ * Return the exponential moving average of a value with a new sample.
+ *
+ * @method average
+ * @param {Float} value
+ * @param {Float} sample
+ * @return Float
+ * @private
+ */
+function average(value, sample) {
+  return value === null ? sample : value + (sample - value) * SMOOTHING;
+}
+
+/**
+ * Meter of frame timings used to size the budget of tasks on each frame.
+ *
+ * It measures the interval between consecutive frames and the time the
+ * browser spends on each frame before the scheduler runs. The budget is the
+ * remaining time of the frame minus a headroom left to the browser to style,
+ * layout and paint.
+ *
+ * Options:
+ *  * min: minimum budget in milliseconds.
+ *  * max: maximum budget in milliseconds.
+ *  * headroom: milliseconds of each frame left to the browser.
+ *
+ * @namespace App
+ * @class FrameMeter
+ * @private
+ */
+export default class FrameMeter {
+  /**
+   * Average milliseconds between consecutive frames.
+   *
+   * @property interval
+   * @type Float
+   * @private
+   */
+  interval = null;
+
+  /**
+   * Average milliseconds spent by the browser on each frame before the
+   * scheduler runs.
+   *
+   * @property browserTime
+   * @type Float
+   * @private
+   */
+  browserTime = null;
+
+  /**
+   * Start time of last measured frame.
+   *
+   * @property lastFrame
+   * @type Float
+   * @private
+   */
+  lastFrame = null;
+
+  /**
+   * @constructor
+   * @param {Object} options
+   */
+  constructor({ min = 1, max = Infinity, headroom = 4 } = {}) {
+    this.min = min;
+    this.max = max;
+    this.headroom = headroom;
+  }
+
+  /**
+   * Return the budget of tasks on each frame.
+   *
+   * Until a frame interval is measured, the given interval is used.
+   *
+   * @method budget
+   * @param {Float} interval
+   * @return Float
+   * @private
+   */
+  budget(interval) {
+    const frameTime = this.interval ?? interval;
+    const budget = frameTime - (this.browserTime ?? 0) - this.headroom;
+
+    return Math.min(this.max, Math.max(this.min, budget));
+  }
+
+  /**
+   * Measure a frame.
+   *
+   * @method measure
+   * @param {Float} startTime Time when the frame started.
+   * @param {Float} time Time when the scheduler started running on the frame.
+   * @private
+   */
+  measure(startTime, time) {
+    const lastFrame = this.lastFrame;
+
+    if (lastFrame !== null && startTime - lastFrame <= MAX_INTERVAL) {
+      this.interval = average(this.interval, startTime - lastFrame);
+    }
+
+    this.browserTime = average(this.browserTime, Math.max(0, time - startTime));
+    this.lastFrame = startTime;
+  }
+
+  /**
+   * Forget last frame, so next one is not measured as consecutive.
+   *
+   * @method reset
+   * @private
+   */
+  reset() {
+    this.lastFrame = null;
+  }
+}
@@ -0,0 +1,33 @@
+export const USER_BLOCKING = 'user-blocking';
+export const USER_VISIBLE = 'user-visible';
+export const BACKGROUND = 'background';
+
+/**
+ * Available priorities sorted from highest to lowest.
+ *
+ * @property PRIORITIES
+ * @type Array
+ * @private
+ */
+export const PRIORITIES = [USER_BLOCKING, USER_VISIBLE, BACKGROUND];
+
+/**
+ * Priority of tasks scheduled without options.
+ *
+ * @property DEFAULT_PRIORITY
+ * @type String
+ * @private
+ */
+export const DEFAULT_PRIORITY = USER_VISIBLE;
+
+/**
+ * Return the rank of a priority. Lower ranks run first.
+ *
+ * @method rankOf
+ * @param {String} priority
+ * @return Number
+ * @private
+ */
+export function rankOf(priority) {
+  return PRIORITIES.indexOf(priority);
+}
@@ -0,0 +1,219 @@
+const MILLISECONDS = 1000;
+const TOLERANCE = 1;
+
+/**
+ * Queue of tasks sorted by priority.
+ *
+ * Tasks with the same priority are kept in the same order they were pushed.
+ *
+ * Named queues can be configured with:
+ *  * FPS: number of times per second the queue runs.
+ *  * budget: milliseconds the queue can use on each frame.
+ *  * priority: default priority of the tasks of the queue.
+ *  * concurrency: number of tasks the queue can run on each frame.
+ *  * hidden: default policy of the tasks of the queue while the page is hidden.
+ *  * staleAfter: default staleness age of the tasks of the queue.
+ *  * ssr: default policy of the tasks of the queue on the server.
+ *
+ * @namespace App
+ * @class Queue
+ * @private
+ */
+export default class Queue {
+  /**
+   * Array of tasks of the queue.
+   *
+   * @property tasks
+   * @type Array
+   * @private
+   */
+  tasks = [];
+
+  /**
+   * Time when the queue ran for the last time.
+   *
+   * @property lastRun
+   * @type Float
+   * @private
+   */
+  lastRun = -Infinity;
+
+  /**
+   * Number of tasks run on current frame.
+   *
+   * @property ran
+   * @type Number
+   * @private
+   */
+  ran = 0;
+
+  /**
+   * Milliseconds spent on current frame.
+   *
+   * @property spent
+   * @type Float
+   * @private
+   */
+  spent = 0;
+
+  /**
+   * @constructor
+   * @param {Object} options
+   */
+  constructor({
+    name = null,
+    FPS = null,
+    budget = Infinity,
+    priority = null,
+    concurrency = Infinity,
+    hidden = null,
+    staleAfter = null,
+    ssr = null,
+  } = {}) {
+    this.name = name;
+    this.interval = FPS ? MILLISECONDS / FPS : 0;
+    this.budget = budget;
+    this.priority = priority;
+    this.concurrency = concurrency;
+    this.hidden = hidden;
+    this.staleAfter = staleAfter;
+    this.ssr = ssr;
+  }
+
+  /**
+   * Number of tasks of the queue.
+   *
+   * @property length
+   * @type Number
+   * @private
+   */
+  get length() {
+    return this.tasks.length;
+  }
+
+  /**
+   * First task of the queue.
+   *
+   * @property first
+   * @type Task
+   * @private
+   */
+  get first() {
+    return this.tasks[0];
+  }
+
+  /**
+   * Return when the queue can run on a frame started at a given time.
+   *
+   * @method isReady
+   * @param {Float} time
+   * @returns Boolean
+   * @private
+   */
+  isReady(time) {
+    return time - this.lastRun >= this.interval - TOLERANCE;
+  }
+
+  /**
+   * Start running the queue on a frame.
+   *
+   * @method start
+   * @param {Float} time
+   * @private
+   */
+  start(time) {
+    this.lastRun = time;
+    this.ran = 0;
+    this.spent = 0;
+  }
+
+  /**
+   * Return when the queue can run another task on current frame.
+   *
+   * @method canRun
+   * @returns Boolean
+   * @private
+   */
+  canRun() {
+    return (
+      this.length !== 0 &&
+      this.ran < this.concurrency &&
+      this.spent < this.budget
+    );
+  }
+
+  /**
+   * Track a task run on current frame.
+   *
+   * @method track
+   * @param {Float} duration
+   * @private
+   */
+  track(duration) {
+    this.ran++;
+    this.spent += duration;
+  }
+
+  /**
+   * Push task into queue after the tasks with same or higher priority.
+   *
+   * @method push
+   * @param {Task} task
+   * @private
+   */
+  push(task) {
+    const tasks = this.tasks;
+    let index = tasks.length;
+
+    while (index > 0 && tasks[index - 1].rank > task.rank) {
+      index--;
+    }
+
+    tasks.splice(index, 0, task);
+  }
+
+  /**
+   * Remove and return the first task of the queue.
+   *
+   * @method shift
+   * @returns Task
+   * @private
+   */
+  shift() {
+    return this.tasks.shift();
+  }
+
+  /**
+   * Return the first task that matches.
+   *
+   * @method find
+   * @param {Function} matches
+   * @returns Task
+   * @private
+   */
+  find(matches) {
+    return this.tasks.find(matches);
+  }
+
+  /**
+   * Remove and return the tasks that match.
+   *
+   * @method remove
+   * @param {Function} matches
+   * @returns Array
+   * @private
+   */
+  remove(matches) {
+    const tasks = this.tasks;
+    const removedTasks = [];
+
+    // Remove tasks backwards to keep indexes.
+    for (let i = tasks.length - 1; i >= 0; i--) {
+      if (matches(tasks[i])) {
+        removedTasks.unshift(...tasks.splice(i, 1));
+      }
+    }
+
+    return removedTasks;
+  }
+}
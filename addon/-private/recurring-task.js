@@ -0,0 +1,106 @@
+import Task, { PENDING } from './task';
+import { DROP } from './ssr';
+
+/**
+ * Handle of a task that runs every number of frames until it is stopped.
+ *
+ * Its state goes back to pending after each run, until it has run the maximum
+ * number of times. Then, it is done. When it is stopped, it is cancelled.
+ *
+ * Unless told otherwise, it is dropped on the server, as it would keep
+ * rendering waiting.
+ *
+ * @namespace App
+ * @class RecurringTask
+ * @extends Task
+ * @public
+ */
+export default class RecurringTask extends Task {
+  /**
+   * Number of times the task has run.
+   *
+   * @property runs
+   * @type Number
+   * @public
+   */
+  runs = 0;
+
+  /**
+   * Function that removes the task from the scheduler. Set by the scheduler.
+   *
+   * @property _stop
+   * @type Function
+   * @private
+   */
+  _stop = null;
+
+  /**
+   * Whether the task was stopped while running, so it does not run again.
+   *
+   * @property _stopped
+   * @type Boolean
+   * @private
+   */
+  _stopped = false;
+
+  /**
+   * @constructor
+   * @param {Object} target
+   * @param {Function} method
+   * @param {Array} args
+   * @param {Error} stack
+   * @param {Object} options
+   */
+  constructor(target, method, args, stack, options = {}) {
+    super(target, method, args, stack, options);
+
+    this.everyNFrames = options.everyNFrames || 1;
+    this.maxRuns = options.maxRuns ?? Infinity;
+    this.waiter = options.waiter || false;
+    this.ssr = options.ssr || DROP;
+  }
+
+  /**
+   * Stop running the task.
+   *
+   * It can be called from the task itself. Then, it is cancelled once the
+   * current run has finished.
+   *
+   * @method stop
+   * @public
+   */
+  stop() {
+    // While it runs, the task is in no queue of the scheduler.
+    if (this._stop().length === 0 && this.isRunning) {
+      this._stopped = true;
+    }
+  }
+
+  /**
+   * Mark task as pending for its next run, or as done when it has run the
+   * maximum number of times.
+   *
+   * @method resolve
+   * @param {Mixed} value
+   * @private
+   */
+  resolve(value) {
+    this.runs++;
+    this.attempts = 0;
+    this.iterator = null;
+
+    if (this._stopped) {
+      this.cancel();
+
+      return;
+    }
+
+    if (this.runs >= this.maxRuns) {
+      super.resolve(value);
+
+      return;
+    }
+
+    this.state = PENDING;
+  }
+}
@@ -0,0 +1,28 @@
+import { DROP } from './visibility';
+
+export const SYNC = 'sync';
+export const DEFER = 'defer';
+
+export { DROP };
+
+/**
+ * Available policies of tasks while rendering on the server (ie: FastBoot).
+ *
+ *  * sync: task runs as soon as it is scheduled.
+ *  * defer: task runs on frames and rendering waits until it has finished.
+ *  * drop: task is cancelled as soon as it is scheduled.
+ *
+ * @property SSR_POLICIES
+ * @type Array
+ * @private
+ */
+export const SSR_POLICIES = [SYNC, DEFER, DROP];
+
+/**
+ * Policy of tasks scheduled without options.
+ *
+ * @property DEFAULT_SSR_POLICY
+ * @type String
+ * @private
+ */
+export const DEFAULT_SSR_POLICY = DEFER;
@@ -0,0 +1,162 @@
+/**
+ * Aggregate metrics of the scheduler.
+ *
+ * Tasks are counted on each run, so generator tasks are counted once per
+ * chunk. Wait time is only measured on the first run of a task.
+ *
+ * @namespace App
+ * @class Stats
+ * @private
+ */
+export default class Stats {
+  /**
+   * Number of frames used to run tasks.
+   *
+   * @property frames
+   * @type Number
+   * @private
+   */
+  frames = 0;
+
+  /**
+   * Number of frames that took longer than their budget.
+   *
+   * @property framesOverBudget
+   * @type Number
+   * @private
+   */
+  framesOverBudget = 0;
+
+  /**
+   * Number of task runs.
+   *
+   * @property tasks
+   * @type Number
+   * @private
+   */
+  tasks = 0;
+
+  /**
+   * Number of task runs on frames.
+   *
+   * @property frameTasks
+   * @type Number
+   * @private
+   */
+  frameTasks = 0;
+
+  /**
+   * Maximum number of task runs on a frame.
+   *
+   * @property maxTasksPerFrame
+   * @type Number
+   * @private
+   */
+  maxTasksPerFrame = 0;
+
+  /**
+   * Number of tasks whose wait time was measured.
+   *
+   * @property waits
+   * @type Number
+   * @private
+   */
+  waits = 0;
+
+  /**
+   * Total milliseconds tasks waited from their schedule to their first run.
+   *
+   * @property waitTime
+   * @type Float
+   * @private
+   */
+  waitTime = 0;
+
+  /**
+   * Maximum milliseconds a task waited from its schedule to its first run.
+   *
+   * @property maxWaitTime
+   * @type Float
+   * @private
+   */
+  maxWaitTime = 0;
+
+  /**
+   * Total milliseconds of task runs.
+   *
+   * @property duration
+   * @type Float
+   * @private
+   */
+  duration = 0;
+
+  /**
+   * Maximum milliseconds of a task run.
+   *
+   * @property maxDuration
+   * @type Float
+   * @private
+   */
+  maxDuration = 0;
+
+  /**
+   * Track a task run.
+   *
+   * @method trackTask
+   * @param {Float} duration
+   * @param {Float} [waitTime] Only given on the first run of a task.
+   * @private
+   */
+  trackTask(duration, waitTime = null) {
+    this.tasks++;
+    this.duration += duration;
+    this.maxDuration = Math.max(this.maxDuration, duration);
+
+    if (waitTime !== null) {
+      this.waits++;
+      this.waitTime += waitTime;
+      this.maxWaitTime = Math.max(this.maxWaitTime, waitTime);
+    }
+  }
+
+  /**
+   * Track a frame with the number of task runs on it.
+   *
+   * @method trackFrame
+   * @param {Number} tasks
+   * @param {Boolean} overBudget
+   * @private
+   */
+  trackFrame(tasks, overBudget) {
+    this.frames++;
+    this.frameTasks += tasks;
+    this.maxTasksPerFrame = Math.max(this.maxTasksPerFrame, tasks);
+
+    if (overBudget) {
+      this.framesOverBudget++;
+    }
+  }
+
+  /**
+   * Return a snapshot of the metrics with their averages.
+   *
+   * @method snapshot
+   * @param {Number} queueLength Number of pending tasks.
+   * @return Object
+   * @private
+   */
+  snapshot(queueLength) {
+    return Object.freeze({
+      frames: this.frames,
+      framesOverBudget: this.framesOverBudget,
+      tasks: this.tasks,
+      tasksPerFrame: this.frames ? this.frameTasks / this.frames : 0,
+      maxTasksPerFrame: this.maxTasksPerFrame,
+      queueLength,
+      averageWaitTime: this.waits ? this.waitTime / this.waits : 0,
+      maxWaitTime: this.maxWaitTime,
+      averageDuration: this.tasks ? this.duration / this.tasks : 0,
+      maxDuration: this.maxDuration,
+    });
+  }
+}
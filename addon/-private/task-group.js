@@ -0,0 +1,206 @@
+import { defer } from 'rsvp';
+
+/**
+ * Group of related tasks that can be cancelled and awaited together.
+ *
+ * It is returned by `createGroup` method of the scheduler.
+ *
+ * @namespace App
+ * @class TaskGroup
+ * @public
+ */
+export default class TaskGroup {
+  /**
+   * Number of tasks of the group that were done.
+   *
+   * @property completed
+   * @type Number
+   * @public
+   */
+  completed = 0;
+
+  /**
+   * Number of tasks of the group that failed.
+   *
+   * @property failed
+   * @type Number
+   * @public
+   */
+  failed = 0;
+
+  /**
+   * Number of tasks of the group that were cancelled.
+   *
+   * @property cancelled
+   * @type Number
+   * @public
+   */
+  cancelled = 0;
+
+  /**
+   * Tasks of the group that have not finished.
+   *
+   * @property _tasks
+   * @type Set
+   * @private
+   */
+  _tasks = new Set();
+
+  /**
+   * Deferred of the current batch of tasks, resolved when all of them have
+   * finished. A batch starts with the first task scheduled on an empty group.
+   *
+   * @property _deferred
+   * @type Object
+   * @private
+   */
+  _deferred = null;
+
+  /**
+   * Whether the deferred of the current batch is resolved.
+   *
+   * @property _settled
+   * @type Boolean
+   * @private
+   */
+  _settled = false;
+
+  /**
+   * @constructor
+   * @param {SchedulerService} scheduler
+   */
+  constructor(scheduler) {
+    this.scheduler = scheduler;
+  }
+
+  /**
+   * Number of tasks of the group that have not finished.
+   *
+   * @property pending
+   * @type Number
+   * @public
+   */
+  get pending() {
+    return this._tasks.size;
+  }
+
+  /**
+   * Promise resolved with the group when all its tasks have finished,
+   * whatever the result.
+   *
+   * The same promise is returned until a task is scheduled after it is
+   * resolved. Before the first task is scheduled, it waits for the first
+   * tasks of the group.
+   *
+   * @property promise
+   * @type Promise
+   * @public
+   */
+  get promise() {
+    this._deferred = this._deferred || defer();
+
+    return this._deferred.promise;
+  }
+
+  /**
+   * Schedules a task of the group into the scheduler.
+   *
+   * It accepts the same arguments as `schedule` method of the scheduler.
+   *
+   * @method schedule
+   * @param {Object} target
+   * @param {Function|String} method
+   * @param {...Mixed} args
+   * @returns Task
+   * @public
+   */
+  schedule() {
+    const task = this.scheduler.schedule(...arguments);
+
+    if (!this._deferred || this._settled) {
+      this._deferred = defer();
+      this._settled = false;
+    }
+
+    if (task.isFinished) {
+      this._count(task);
+      this._settle();
+    } else {
+      this._tasks.add(task);
+
+      task.addTeardown(() => this._finish(task));
+    }
+
+    return task;
+  }
+
+  /**
+   * Return the `schedule` method of the group with some options.
+   *
+   * It accepts the same options as `withOptions` method of the scheduler.
+   *
+   * @method withOptions
+   * @param {Object} options
+   * @returns Object
+   * @public
+   */
+  withOptions(options) {
+    return this.scheduler._scope(this, options, ['schedule']);
+  }
+
+  /**
+   * Cancel all the pending tasks of the group.
+   *
+   * @method cancelAll
+   * @returns Array
+   * @public
+   */
+  cancelAll() {
+    return [...this._tasks].flatMap((task) => this.scheduler.cancel(task));
+  }
+
+  /**
+   * Count a finished task of the group.
+   *
+   * @method _finish
+   * @param {Task} task
+   * @private
+   */
+  _finish(task) {
+    this._tasks.delete(task);
+    this._count(task);
+    this._settle();
+  }
+
+  /**
+   * Count a finished task by its state.
+   *
+   * @method _count
+   * @param {Task} task
+   * @private
+   */
+  _count(task) {
+    if (task.isDone) {
+      this.completed++;
+    } else if (task.isFailed) {
+      this.failed++;
+    } else {
+      this.cancelled++;
+    }
+  }
+
+  /**
+   * Resolve the promise of the current batch when the group has no pending
+   * tasks.
+   *
+   * @method _settle
+   * @private
+   */
+  _settle() {
+    if (this._tasks.size === 0) {
+      this._settled = true;
+
+      this._deferred.resolve(this);
+    }
+  }
+}
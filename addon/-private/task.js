@@ -0,0 +1,411 @@
+import { DEFAULT_PRIORITY, rankOf } from './priority';
+import { TaskCancelledError } from './errors';
+
+export const PENDING = 'pending';
+export const RUNNING = 'running';
+export const DONE = 'done';
+export const CANCELLED = 'cancelled';
+export const FAILED = 'failed';
+
+const PROMOTED_RANK = -1;
+
+let uuid = 0;
+
+/**
+ * Handle of a task scheduled into the scheduler.
+ *
+ * It is returned by every scheduling method and can be passed to `cancel` in
+ * order to remove the task from the scheduler.
+ *
+ * States:
+ *  * pending: task is waiting for a frame.
+ *  * running: task is being executed.
+ *  * done: task was executed successfully.
+ *  * cancelled: task was removed before its execution.
+ *  * failed: task threw an error.
+ *
+ * @namespace App
+ * @class Task
+ * @public
+ */
+export default class Task {
+  /**
+   * Unique identifier of the task.
+   *
+   * @property id
+   * @type Number
+   * @public
+   */
+  id = ++uuid;
+
+  /**
+   * Current state of the task.
+   *
+   * @property state
+   * @type String
+   * @public
+   */
+  state = PENDING;
+
+  /**
+   * Deferred settled with the result of the task, if any.
+   *
+   * @property deferred
+   * @type Object
+   * @private
+   */
+  deferred = null;
+
+  /**
+   * Queue where the task is scheduled.
+   *
+   * @property queue
+   * @type Queue
+   * @private
+   */
+  queue = null;
+
+  /**
+   * Time when the task was scheduled.
+   *
+   * @property scheduledAt
+   * @type Float
+   * @private
+   */
+  scheduledAt = null;
+
+  /**
+   * Time when the task first ran.
+   *
+   * @property startedAt
+   * @type Float
+   * @private
+   */
+  startedAt = null;
+
+  /**
+   * Whether the task runs ahead of others because it is nearing its max wait.
+   *
+   * @property promoted
+   * @type Boolean
+   * @private
+   */
+  promoted = false;
+
+  /**
+   * Error thrown by the task, if any.
+   *
+   * @property error
+   * @type Error
+   * @public
+   */
+  error = null;
+
+  /**
+   * Number of times the task has been retried.
+   *
+   * @property attempts
+   * @type Number
+   * @public
+   */
+  attempts = 0;
+
+  /**
+   * Number of the frame from which a delayed task can run.
+   *
+   * @property frame
+   * @type Number
+   * @private
+   */
+  frame = null;
+
+  /**
+   * Iterator returned by the task, resumed on next frames.
+   *
+   * @property iterator
+   * @type Object
+   * @private
+   */
+  iterator = null;
+
+  /**
+   * Whether the task resumes an async function paused with `yield`.
+   *
+   * @property isYield
+   * @type Boolean
+   * @private
+   */
+  isYield = false;
+
+  /**
+   * Number of callers that keep the task scheduled. Callers give up when
+   * their signal is aborted or their destroyables are destroyed.
+   *
+   * @property claims
+   * @type Number
+   * @private
+   */
+  claims = 0;
+
+  /**
+   * Functions called once the task has finished.
+   *
+   * @property _teardowns
+   * @type Array
+   * @private
+   */
+  _teardowns = [];
+
+  /**
+   * @constructor
+   * @param {Object} target
+   * @param {Function} method
+   * @param {Array} args
+   * @param {Error} stack
+   * @param {Object} options
+   */
+  constructor(target, method, args, stack, options = {}) {
+    this.target = target;
+    this.method = method;
+    this.args = args;
+    this.stack = stack;
+    this.priority = options.priority || null;
+    this.queueName = options.queue || null;
+    this.signal = options.signal || null;
+    this.destroyable = options.destroyable || null;
+    this.timeout = options.timeout ?? null;
+    this.hidden = options.hidden || null;
+    this.staleAfter = options.staleAfter ?? null;
+    this.ssr = options.ssr || null;
+    this.deadline = options.deadline ?? null;
+    this.maxWait = options.maxWait ?? null;
+    this.key = options.key ?? null;
+    this.merge = options.merge || null;
+    this.dependencies = [].concat(options.dependsOn ?? []);
+    this.onError = options.onError || null;
+    this.retries = options.retries || 0;
+    this.backoff = options.backoff || 1;
+  }
+
+  /**
+   * Rank of the task priority. Lower ranks run first.
+   *
+   * Promoted tasks rank ahead of any priority.
+   *
+   * @property rank
+   * @type Number
+   * @private
+   */
+  get rank() {
+    if (this.promoted) {
+      return PROMOTED_RANK;
+    }
+
+    return rankOf(this.priority || DEFAULT_PRIORITY);
+  }
+
+  /**
+   * Return when task is waiting for a frame.
+   *
+   * @property isPending
+   * @type Boolean
+   * @public
+   */
+  get isPending() {
+    return this.state === PENDING;
+  }
+
+  /**
+   * Return when task is being executed.
+   *
+   * @property isRunning
+   * @type Boolean
+   * @public
+   */
+  get isRunning() {
+    return this.state === RUNNING;
+  }
+
+  /**
+   * Return when task was executed successfully.
+   *
+   * @property isDone
+   * @type Boolean
+   * @public
+   */
+  get isDone() {
+    return this.state === DONE;
+  }
+
+  /**
+   * Return when task was cancelled.
+   *
+   * @property isCancelled
+   * @type Boolean
+   * @public
+   */
+  get isCancelled() {
+    return this.state === CANCELLED;
+  }
+
+  /**
+   * Return when task threw an error.
+   *
+   * @property isFailed
+   * @type Boolean
+   * @public
+   */
+  get isFailed() {
+    return this.state === FAILED;
+  }
+
+  /**
+   * Return when task has finished, whatever the result.
+   *
+   * @property isFinished
+   * @type Boolean
+   * @public
+   */
+  get isFinished() {
+    return this.isDone || this.isCancelled || this.isFailed;
+  }
+
+  /**
+   * Mark task as running.
+   *
+   * @method start
+   * @private
+   */
+  start() {
+    this.state = RUNNING;
+  }
+
+  /**
+   * Mark task as done and resolve its deferred with the returned value.
+   *
+   * @method resolve
+   * @param {Mixed} value
+   * @private
+   */
+  resolve(value) {
+    this.state = DONE;
+    this._teardown();
+
+    if (this.deferred) {
+      this.deferred.resolve(value);
+    }
+  }
+
+  /**
+   * Mark task as failed and reject its deferred with the thrown error.
+   *
+   * @method reject
+   * @param {Error} error
+   * @private
+   */
+  reject(error) {
+    this.state = FAILED;
+    this.error = error;
+    this._teardown();
+
+    if (this.deferred) {
+      this.deferred.reject(error);
+    }
+  }
+
+  /**
+   * Mark a failed task as pending to run it again from the beginning.
+   *
+   * @method retry
+   * @param {Error} error
+   * @private
+   */
+  retry(error) {
+    this.state = PENDING;
+    this.error = error;
+    this.iterator = null;
+    this.attempts++;
+  }
+
+  /**
+   * Mark task as cancelled and reject its deferred with a cancellation error.
+   *
+   * When the task has an iterator, it is closed.
+   *
+   * @method cancel
+   * @param {TaskCancelledError} [error]
+   * @private
+   */
+  cancel(error = new TaskCancelledError()) {
+    this.state = CANCELLED;
+    this._close();
+    this._teardown();
+
+    if (this.deferred) {
+      this.deferred.reject(error);
+    }
+  }
+
+  /**
+   * Add a function to be called once the task has finished.
+   *
+   * @method addTeardown
+   * @param {Function} teardown
+   * @private
+   */
+  addTeardown(teardown) {
+    this._teardowns.push(teardown);
+  }
+
+  /**
+   * Close the iterator of the task, if any.
+   *
+   * @method _close
+   * @private
+   */
+  _close() {
+    const iterator = this.iterator;
+
+    if (!iterator || typeof iterator.return !== 'function') {
+      return;
+    }
+
+    try {
+      const result = iterator.return();
+
+      // Async iterators return a promise.
+      if (result && typeof result.catch === 'function') {
+        result.catch(() => {});
+      }
+    } catch (e) {
+      // Iterator is already running.
+    }
+  }
+
+  /**
+   * Call teardown functions of the task.
+   *
+   * @method _teardown
+   * @private
+   */
+  _teardown() {
+    const teardowns = this._teardowns;
+
+    this._teardowns = [];
+
+    teardowns.forEach((teardown) => teardown());
+  }
+
+  /**
+   * Return when task matches a given target and method.
+   *
+   * @method matches
+   * @param {Object} target
+   * @param {Function} method
+   * @returns Boolean
+   * @private
+   */
+  matches(target, method) {
+    return this.target === target && this.method === method;
+  }
+}
@@ -0,0 +1,76 @@
+export const WAIT = 'wait';
+export const TIMER = 'timer';
+export const DROP = 'drop';
+
+/**
+ * Available policies of tasks while the page is hidden.
+ *
+ *  * wait: task waits until the page is visible again.
+ *  * timer: task runs on a timer while the page is hidden.
+ *  * drop: task waits until the page is visible again and it is cancelled
+ *    when it has waited longer than its staleness age.
+ *
+ * @property HIDDEN_POLICIES
+ * @type Array
+ * @private
+ */
+export const HIDDEN_POLICIES = [WAIT, TIMER, DROP];
+
+/**
+ * Policy of tasks scheduled without options.
+ *
+ * @property DEFAULT_HIDDEN_POLICY
+ * @type String
+ * @private
+ */
+export const DEFAULT_HIDDEN_POLICY = WAIT;
+
+/**
+ * Return when there is a document. There is none on the server (ie: FastBoot).
+ *
+ * @method hasDocument
+ * @return Boolean
+ * @private
+ */
+function hasDocument() {
+  return typeof document !== 'undefined';
+}
+
+/**
+ * Return when the document is hidden.
+ *
+ * @method isHidden
+ * @return Boolean
+ * @private
+ */
+export function isHidden() {
+  return hasDocument() && document.visibilityState === 'hidden';
+}
+
+/**
+ * Add a listener of visibility changes of the document, if any.
+ *
+ * @method addVisibilityListener
+ * @param {Function} listener
+ * @private
+ */
+export function addVisibilityListener(listener) {
+  // istanbul ignore else: FastBoot
+  if (hasDocument()) {
+    document.addEventListener('visibilitychange', listener);
+  }
+}
+
+/**
+ * Remove a listener of visibility changes of the document, if any.
+ *
+ * @method removeVisibilityListener
+ * @param {Function} listener
+ * @private
+ */
+export function removeVisibilityListener(listener) {
+  // istanbul ignore else: FastBoot
+  if (hasDocument()) {
+    document.removeEventListener('visibilitychange', listener);
+  }
+}
@@ -0,0 +1,20 @@
+export { default as Task } from './-private/task';
+export { default as RecurringTask } from './-private/recurring-task';
+export { default as TaskGroup } from './-private/task-group';
+export { USER_BLOCKING, USER_VISIBLE, BACKGROUND } from './-private/priority';
+export {
+  TaskCancelledError,
+  TaskExpiredError,
+  isTaskCancelledError,
+} from './-private/errors';
+export { WAIT, TIMER, DROP } from './-private/visibility';
+export { SYNC, DEFER } from './-private/ssr';
+export {
+  FrameDriver,
+  ManualFrameDriver,
+  RAF,
+  TIMEOUT,
+  MESSAGE_CHANNEL,
+  MANUAL,
+  POST_TASK,
+} from './-private/frame-drivers';
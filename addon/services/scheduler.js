@@ -1,18 +1,81 @@
 import Ember from 'ember';
 import Service from '@ember/service';
+import Evented from '@ember/object/evented';
 import { run } from '@ember/runloop';
 import { assert, warn } from '@ember/debug';
 import { getOwner } from '@ember/application';
 import { buildWaiter } from '@ember/test-waiters';
+import {
+  registerDestructor,
+  unregisterDestructor,
+  isDestroying,
+} from '@ember/destroyable';
+import { defer } from 'rsvp';
+import Task from '../-private/task';
+import RecurringTask from '../-private/recurring-task';
+import TaskGroup from '../-private/task-group';
+import Queue from '../-private/queue';
+import FrameMeter from '../-private/frame-meter';
+import Stats from '../-private/stats';
+import { getClock } from '../-private/clock';
+import { createFrameDriver } from '../-private/frame-drivers';
+import { PRIORITIES, DEFAULT_PRIORITY } from '../-private/priority';
+import { TaskExpiredError, isTaskCancelledError } from '../-private/errors';
+import {
+  TIMER,
+  DROP,
+  HIDDEN_POLICIES,
+  DEFAULT_HIDDEN_POLICY,
+  isHidden,
+  addVisibilityListener,
+  removeVisibilityListener,
+} from '../-private/visibility';
+import { SYNC, SSR_POLICIES, DEFAULT_SSR_POLICY } from '../-private/ssr';
 
 const FPS = 60;
 const MILLISECONDS = 1000;
+const FIRST = 'first';
+const LAST = 'last';
 const { onerror } = Ember;
-const { requestAnimationFrame, cancelAnimationFrame, performance } = window;
 const waiter = buildWaiter('ember-task-scheduler');
+const OPTIONS = [
+  'priority',
+  'signal',
+  'destroyable',
+  'timeout',
+  'queue',
+  'hidden',
+  'staleAfter',
+  'ssr',
+  'deadline',
+  'maxWait',
+  'key',
+  'merge',
+  'dependsOn',
+  'onError',
+  'retries',
+  'backoff',
+  'everyNFrames',
+  'maxRuns',
+  'waiter',
+];
+const SCOPED_METHODS = [
+  'schedule',
+  'scheduleOnce',
+  'scheduleAsync',
+  'scheduleIdle',
+  'scheduleRead',
+  'scheduleWrite',
+  'debounceFrames',
+  'throttleFrames',
+  'scheduleRecurring',
+  'yield',
+  'cancel',
+];
+const asyncTasks = new WeakMap();
 
 /**
- * Bind context to method and call requestAnimationFrame with generated function.
+ * Bind context to method and request a frame with generated function.
  *
  * @method scheduleFrame
  * @param {Object} context
@@ -23,29 +86,360 @@ const waiter = buildWaiter('ember-task-scheduler');
 function scheduleFrame(context, method) {
   method = context[method];
 
-  return requestAnimationFrame(method.bind(context));
+  return context.frameDriver.requestFrame(
+    method.bind(context),
+    context.millisecondsPerFrame,
+    context._framePriority()
+  );
 }
 
 /**
- * Try to exec a function with target and args.
+ * Return when a task has waited longer than its timeout.
  *
- * When function throws an error it calls onError function with error and stack.
+ * @method isOverdue
+ * @param {Task} task
+ * @param {Float} time
+ * @return Boolean
+ * @private
+ */
+function isOverdue(task, time) {
+  return (
+    typeof task.timeout === 'number' && time - task.scheduledAt >= task.timeout
+  );
+}
+
+/**
+ * Return when a pending task has not run before its deadline.
+ *
+ * @method isExpired
+ * @param {Task} task
+ * @param {Float} time
+ * @return Boolean
+ * @private
+ */
+function isExpired(task, time) {
+  return (
+    task.isPending &&
+    typeof task.deadline === 'number' &&
+    time - task.scheduledAt >= task.deadline
+  );
+}
+
+/**
+ * Return when a task would exceed its max wait after a given margin.
+ *
+ * @method isStarving
+ * @param {Task} task
+ * @param {Float} time
+ * @param {Float} margin
+ * @return Boolean
+ * @private
+ */
+function isStarving(task, time, margin) {
+  return (
+    typeof task.maxWait === 'number' &&
+    time - task.scheduledAt + margin >= task.maxWait
+  );
+}
+
+/**
+ * Return when a task was cancelled or failed.
+ *
+ * @method isAborted
+ * @param {Task} task
+ * @return Boolean
+ * @private
+ */
+function isAborted(task) {
+  return task.isCancelled || task.isFailed;
+}
+
+/**
+ * Cancel or fail a task like its aborted dependency.
+ *
+ * The error of the dependency is not sent to `onError` hook again.
+ *
+ * @method abortBy
+ * @param {Task} task
+ * @param {Task} dependency
+ * @private
+ */
+function abortBy(task, dependency) {
+  if (dependency.isCancelled) {
+    task.cancel();
+  } else {
+    task.reject(dependency.error);
+  }
+}
+
+/**
+ * Return when a task keeps test waiters pending.
+ *
+ * Recurring tasks only do it when they opt in.
+ *
+ * @method isTracked
+ * @param {Task} task
+ * @return Boolean
+ * @private
+ */
+function isTracked(task) {
+  return !(task instanceof RecurringTask) || task.waiter;
+}
+
+/**
+ * Return when a task must run while the page is hidden.
+ *
+ * @method runsHidden
+ * @param {Task} task
+ * @return Boolean
+ * @private
+ */
+function runsHidden(task) {
+  return task.hidden === TIMER;
+}
+
+/**
+ * Return when a task must be dropped because it has waited too long.
+ *
+ * @method isStale
+ * @param {Task} task
+ * @param {Float} time
+ * @return Boolean
+ * @private
+ */
+function isStale(task, time) {
+  return task.hidden === DROP && time - task.scheduledAt > task.staleAfter;
+}
+
+/**
+ * Return when a task must run before another one.
+ *
+ * Tasks with higher priority run first. Otherwise, older tasks run first.
+ *
+ * @method precedes
+ * @param {Task} task
+ * @param {Task} other
+ * @return Boolean
+ * @private
+ */
+function precedes(task, other) {
+  return (
+    task.rank < other.rank || (task.rank === other.rank && task.id < other.id)
+  );
+}
+
+/**
+ * Create named queues from configuration.
+ *
+ * @method createQueues
+ * @param {Object} queues
+ * @return Map
+ * @private
+ */
+function createQueues(queues = {}) {
+  return new Map(
+    Object.keys(queues).map((name) => [
+      name,
+      new Queue({ name, ...queues[name] }),
+    ])
+  );
+}
+
+/**
+ * Create the frame meter of the adaptive budget from configuration.
+ *
+ * @method createFrameMeter
+ * @param {Boolean|Object} adaptive
+ * @return FrameMeter
+ * @private
+ */
+function createFrameMeter(adaptive) {
+  if (!adaptive) {
+    return null;
+  }
+
+  return new FrameMeter(adaptive === true ? {} : adaptive);
+}
+
+/**
+ * Return the queue whose first task must run next.
+ *
+ * Tasks with higher priority run first. Otherwise, older tasks run first.
+ *
+ * @method pickQueue
+ * @param {Array} queues
+ * @param {Boolean} force Ignore budget and concurrency of queues.
+ * @return Queue
+ * @private
+ */
+function pickQueue(queues, force = false) {
+  let nextQueue = null;
+
+  queues.forEach((queue) => {
+    if (force ? queue.length === 0 : !queue.canRun()) {
+      return;
+    }
+
+    if (!nextQueue || precedes(queue.first, nextQueue.first)) {
+      nextQueue = queue;
+    }
+  });
+
+  return nextQueue;
+}
+
+/**
+ * Return when the value is a valid options object for a scheduling method.
+ *
+ * @method isOptions
+ * @param {Mixed} value
+ * @return Boolean
+ * @private
+ */
+function isOptions(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    Object.getPrototypeOf(value) === Object.prototype &&
+    Object.keys(value).every((key) => OPTIONS.includes(key))
+  );
+}
+
+/**
+ * Return the objects whose destruction cancels the task.
+ *
+ * @method destroyablesOf
+ * @param {Task} task
+ * @return Array
+ * @private
+ */
+function destroyablesOf(task) {
+  return [task.target, task.destroyable].filter(
+    (destroyable) =>
+      destroyable !== null &&
+      (typeof destroyable === 'object' || typeof destroyable === 'function')
+  );
+}
+
+/**
+ * Return when the value returned by a task is an iterator to resume on next frames.
+ *
+ * @method isIterator
+ * @param {Mixed} value
+ * @return Boolean
+ * @private
+ */
+function isIterator(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    typeof value.next === 'function' &&
+    (typeof value[Symbol.iterator] === 'function' || isAsyncIterator(value))
+  );
+}
+
+/**
+ * Return when the iterator returns promises.
+ *
+ * @method isAsyncIterator
+ * @param {Object} iterator
+ * @return Boolean
+ * @private
+ */
+function isAsyncIterator(iterator) {
+  return typeof iterator[Symbol.asyncIterator] === 'function';
+}
+
+/**
+ * Return when the value returned by a task is a promise (ie: of an async
+ * function).
+ *
+ * @method isThenable
+ * @param {Mixed} value
+ * @return Boolean
+ * @private
+ */
+function isThenable(value) {
+  return typeof value?.then === 'function';
+}
+
+/**
+ * Return an async iterator that is done with the value of a promise, so the
+ * task of an async function is settled as the ones of async generators.
+ *
+ * @method awaitPromise
+ * @param {Promise} promise
+ * @return Object
+ * @private
+ */
+// eslint-disable-next-line require-yield
+async function* awaitPromise(promise) {
+  return await promise;
+}
+
+/**
+ * Try to exec a task.
+ *
+ * The task is resolved with the returned value.
+ * When function throws an error it calls onError function with the error.
+ *
+ * When function returns an iterator (ie: a generator function), the iterator is
+ * resumed until it is done or the deadline is reached.
+ * Async iterators are resumed by the scheduler. Promises are awaited by the
+ * scheduler as async iterators.
  *
  * @method exec
- * @param {Object} target
- * @param {Function|String} method
- * @param {Array} args
+ * @param {Task} task
  * @param {Function} onError
- * @param {Error} stack
+ * @param {Float} deadline
+ * @param {Function} now Function that returns current time.
  * @private
  */
-function exec(target, method, args, onError, stack) {
+function exec(task, onError, deadline, now) {
+  const { target, method, args } = task;
+
   try {
-    method.apply(target, args);
-  } catch (e) {
-    if (onError) {
-      onError(e, stack);
+    if (!task.iterator) {
+      const value = method.apply(target, args);
+
+      if (isThenable(value)) {
+        task.iterator = awaitPromise(value);
+      } else if (isIterator(value)) {
+        task.iterator = value;
+      } else {
+        task.resolve(value);
+
+        return;
+      }
+    }
+
+    if (!isAsyncIterator(task.iterator)) {
+      resume(task, deadline, now);
     }
+  } catch (e) {
+    onError(e);
+  }
+}
+
+/**
+ * Resume the iterator of a task until it is done or the deadline is reached.
+ *
+ * @method resume
+ * @param {Task} task
+ * @param {Float} deadline
+ * @param {Function} now Function that returns current time.
+ * @private
+ */
+function resume(task, deadline, now) {
+  const iterator = task.iterator;
+  let result;
+
+  do {
+    result = iterator.next();
+  } while (!result.done && now() < deadline);
+
+  if (result.done) {
+    task.resolve(result.value);
   }
 }
 
@@ -81,18 +475,46 @@ function _logWarn(title, stack, test = false, options = {}) {
  * When there are several tasks that fits into the same frame, it tries to execute them.
  * Otherwise, when there are heavy tasks, it tries to spare them into several frames.
  *
+ * The frame budget can be adaptive to measured frame timings.
+ *
  * Methods:
- *  * schedule: add a task into the scheduler.
- *  * scheduleOnce: add a unique task into the scheduler.
- *  * cancel [Array]: array with deleted tasks. Format of each item: [target, method, args].
- *  * hasPendingTasks [Boolean]: return true when there are pending tasks.
+ *  * schedule [Task]: add a task into the scheduler.
+ *  * scheduleOnce [Task]: add a unique task into the scheduler.
+ *  * scheduleAsync [Promise]: add a task into the scheduler and return a promise with its result.
+ *  * yield [Promise]: wait for next slot of the frame budget inside an async function.
+ *  * scheduleIdle [Task]: add a task into the scheduler to run when the browser is idle.
+ *  * scheduleRead [Task]: add a task that reads the DOM into the scheduler.
+ *  * scheduleWrite [Task]: add a task that writes the DOM into the scheduler.
+ *  * debounceFrames [Task]: add a task that runs after a number of quiet frames.
+ *  * throttleFrames [Task]: add a task that runs at most once every number of frames.
+ *  * scheduleRecurring [RecurringTask]: add a task that runs every number of frames until stopped.
+ *  * createGroup [TaskGroup]: create a group of tasks to cancel and await together.
+ *  * withOptions [Object]: return the scheduling methods with some options.
+ *  * cancel [Array]: array with cancelled task handles.
+ *  * hasPendingTasks [Boolean]: return true when there are pending tasks, optionally of a named queue.
+ *  * pause: stop running tasks until resumed.
+ *  * resume: continue running tasks after a pause.
+ *  * flush: run all pending tasks now, ignoring the frame budget.
+ *
+ * While the page is hidden the frame loop is stopped. Tasks can keep waiting,
+ * run on a timer or be dropped when they are stale on return.
+ *
+ * Events:
+ *  * error: a task failed after its retries. It receives the error and the
+ *    metadata of the task (id, key, queue, priority, attempts and stack).
+ *  * task: a task has run. It receives the metadata of the task, its state,
+ *    its wait time on its first run and the duration of the run.
+ *  * frame: a frame has run tasks. It receives the frame number, the number
+ *    of task runs, the duration, the budget, whether it was over budget and
+ *    the number of pending tasks.
  *
  * @namespace App
  * @class SchedulerService
  * @extends Service
+ * @uses Evented
  * @public
  */
-export default class SchedulerService extends Service {
+export default class SchedulerService extends Service.extend(Evented) {
   /**
    * Proxy to app environment configuration.
    *
@@ -128,13 +550,85 @@ export default class SchedulerService extends Service {
   onError = onerror;
 
   /**
-   * Array of tasks of the instance.
+   * Hook executed when a task is dropped because its deadline has passed.
    *
-   * @property _tasks
-   * @type Array
+   * @method onExpire
+   * @param {Task} task
+   * @public
+   */
+  onExpire() {}
+
+  /**
+   * Queue of tasks run on frames.
+   *
+   * @property _queue
+   * @type Queue
+   * @private
+   */
+  _queue = new Queue();
+
+  /**
+   * Named queues of tasks run on frames, created from configuration.
+   *
+   * @property _namedQueues
+   * @type Map
+   * @private
+   */
+  _namedQueues = createQueues(this.config.taskScheduler?.queues);
+
+  /**
+   * Meter of frame timings when the budget is adaptive.
+   *
+   * @property _frameMeter
+   * @type FrameMeter
+   * @private
+   */
+  _frameMeter = createFrameMeter(this.config.taskScheduler?.adaptive);
+
+  /**
+   * Source of frames, idle periods and time.
+   *
+   * @property _frameDriver
+   * @type FrameDriver
+   * @private
+   */
+  _frameDriver = createFrameDriver(this.config.taskScheduler?.frameDriver);
+
+  /**
+   * FastBoot service, if any.
+   *
+   * @property _fastboot
+   * @type Service
+   * @private
+   */
+  _fastboot = getOwner(this).lookup('service:fastboot');
+
+  /**
+   * Queue of tasks that read the DOM, run at the beginning of each frame.
+   *
+   * @property _readQueue
+   * @type Queue
    * @private
    */
-  _tasks = [];
+  _readQueue = new Queue();
+
+  /**
+   * Queue of tasks that write the DOM, run after the reads of each frame.
+   *
+   * @property _writeQueue
+   * @type Queue
+   * @private
+   */
+  _writeQueue = new Queue();
+
+  /**
+   * Queue of tasks run when the browser is idle.
+   *
+   * @property _idleQueue
+   * @type Queue
+   * @private
+   */
+  _idleQueue = new Queue();
 
   /**
    * ID of the current frame.
@@ -145,6 +639,24 @@ export default class SchedulerService extends Service {
    */
   _currentInstance = null;
 
+  /**
+   * Task being executed, if any.
+   *
+   * @property _currentTask
+   * @type Task
+   * @private
+   */
+  _currentTask = null;
+
+  /**
+   * Options of next scheduling call, given with `withOptions`.
+   *
+   * @property _options
+   * @type Object
+   * @private
+   */
+  _options = null;
+
   /**
    * Waiter token.
    *
@@ -155,292 +667,2355 @@ export default class SchedulerService extends Service {
   _waiterToken = null;
 
   /**
-   * Computed value of milliseconds per frame of current FPS configuration.
+   * ID of the current idle callback.
    *
-   * @property millisecondsPerFrame
-   * @type Float
-   * @public
+   * @property _idleInstance
+   * @type Number
+   * @private
    */
-  get millisecondsPerFrame() {
-    const fps = this.FPS || FPS;
+  _idleInstance = null;
 
-    return (1 / fps) * MILLISECONDS;
-  }
+  /**
+   * Waiter token of the idle loop.
+   *
+   * @property _idleWaiterToken
+   * @type number
+   * @private
+   */
+  _idleWaiterToken = null;
 
   /**
-   * Return when has pending tasks.
+   * Whether the scheduler is paused.
    *
-   * @method hasPendingTasks
-   * @returns Boolean
-   * @public
+   * @property _paused
+   * @type Boolean
+   * @private
    */
-  hasPendingTasks() {
-    return this._tasks.length !== 0;
-  }
+  _paused = false;
 
   /**
-   * Schedules a task into the scheduler.
+   * Number of frames run by the frame loop.
    *
-   * When first argument is a function it ignores the rest.
+   * @property _frame
+   * @type Number
+   * @private
+   */
+  _frame = 0;
+
+  /**
+   * Number of task runs on current frame.
    *
-   * @method schedule
-   * @param {Object} target
-   * @param {Function|String} method
-   * @param {...Mixed} args
-   * @public
+   * @property _frameTasks
+   * @type Number
+   * @private
+   */
+  _frameTasks = 0;
+
+  /**
+   * Aggregate metrics since the service was created or they were reset.
+   *
+   * @property _stats
+   * @type Stats
+   * @private
+   */
+  _stats = new Stats();
+
+  /**
+   * Tasks waiting for a number of frames before running, by key.
+   *
+   * @property _delayed
+   * @type Map
+   * @private
+   */
+  _delayed = new Map();
+
+  /**
+   * Number of the frame from which next throttled task of each key can run.
+   *
+   * It is kept while the loop is stopped, so calls after an idle period are
+   * still throttled.
+   *
+   * @property _throttled
+   * @type Map
+   * @private
+   */
+  _throttled = new Map();
+
+  /**
+   * Tasks waiting for a frame to run again (ie: recurring tasks and retries).
+   *
+   * @property _waiting
+   * @type Set
+   * @private
+   */
+  _waiting = new Set();
+
+  /**
+   * Tasks waiting for their dependencies to finish.
+   *
+   * @property _blocked
+   * @type Set
+   * @private
+   */
+  _blocked = new Set();
+
+  /**
+   * Tasks waiting for the next value of an async iterator.
+   *
+   * @property _suspended
+   * @type Set
+   * @private
+   */
+  _suspended = new Set();
+
+  /**
+   * Whether the page is hidden.
+   *
+   * @property _hidden
+   * @type Boolean
+   * @private
+   */
+  _hidden = isHidden();
+
+  /**
+   * ID of the current timer run while the page is hidden.
+   *
+   * @property _hiddenInstance
+   * @type Number
+   * @private
+   */
+  _hiddenInstance = null;
+
+  /**
+   * Waiter token of the hidden loop.
+   *
+   * @property _hiddenWaiterToken
+   * @type number
+   * @private
+   */
+  _hiddenWaiterToken = null;
+
+  /**
+   * Listener of visibility changes of the document.
+   *
+   * @property _visibilityListener
+   * @type Function
+   * @private
+   */
+  _visibilityListener = () => this._onVisibilityChange();
+
+  /**
+   * @constructor
+   */
+  constructor() {
+    super(...arguments);
+
+    addVisibilityListener(this._visibilityListener);
+  }
+
+  /**
+   * Computed value of milliseconds per frame of current FPS configuration.
+   *
+   * @property millisecondsPerFrame
+   * @type Float
+   * @public
+   */
+  get millisecondsPerFrame() {
+    const fps = this.FPS || FPS;
+
+    return (1 / fps) * MILLISECONDS;
+  }
+
+  /**
+   * Milliseconds tasks can use on each frame.
+   *
+   * When the budget is adaptive, it is sized from measured frame timings.
+   * Otherwise, it is the milliseconds per frame of current FPS configuration.
+   *
+   * @property frameBudget
+   * @type Float
+   * @public
+   */
+  get frameBudget() {
+    const millisecondsPerFrame = this.millisecondsPerFrame;
+
+    if (!this._frameMeter) {
+      return millisecondsPerFrame;
+    }
+
+    return this._frameMeter.budget(millisecondsPerFrame);
+  }
+
+  /**
+   * Source of frames, idle periods and time of the scheduler.
+   *
+   * It is replaced by the fake clock of test helpers when they are set up.
+   *
+   * @property frameDriver
+   * @type FrameDriver
+   * @public
+   */
+  get frameDriver() {
+    return getClock() || this._frameDriver;
+  }
+
+  /**
+   * Snapshot of the aggregate metrics of the scheduler.
+   *
+   *  * frames: frames used to run tasks.
+   *  * framesOverBudget: frames that took longer than their budget.
+   *  * tasks: task runs. Generator tasks are counted once per chunk.
+   *  * tasksPerFrame: average task runs per frame.
+   *  * maxTasksPerFrame: maximum task runs on a frame.
+   *  * queueLength: pending tasks.
+   *  * averageWaitTime: average milliseconds from schedule to first run.
+   *  * maxWaitTime: maximum milliseconds from schedule to first run.
+   *  * averageDuration: average milliseconds of a task run.
+   *  * maxDuration: maximum milliseconds of a task run.
+   *
+   * @property stats
+   * @type Object
+   * @public
+   */
+  get stats() {
+    return this._stats.snapshot(this._countPendingTasks());
+  }
+
+  /**
+   * Return when the scheduler is paused.
+   *
+   * @property isPaused
+   * @type Boolean
+   * @public
+   */
+  get isPaused() {
+    return this._paused;
+  }
+
+  /**
+   * Return when has pending tasks.
+   *
+   * When a queue name is given, only tasks of that queue are checked.
+   *
+   * @method hasPendingTasks
+   * @param {String} [queueName]
+   * @returns Boolean
+   * @public
+   */
+  hasPendingTasks(queueName) {
+    if (queueName) {
+      const queue = this._getQueue(queueName);
+
+      return (
+        queue.length !== 0 ||
+        [...this._delayed.values()].some((task) => task.queue === queue) ||
+        [...this._waiting].some((task) => task.queue === queue) ||
+        [...this._blocked].some((task) => task.queue === queue) ||
+        [...this._suspended].some((task) => task.queue === queue)
+      );
+    }
+
+    return (
+      this._hasFrameTasks() ||
+      this._idleQueue.length !== 0 ||
+      this._blocked.size !== 0 ||
+      this._suspended.size !== 0
+    );
+  }
+
+  /**
+   * Schedules a task into the scheduler.
+   *
+   * When first argument is a function it ignores the rest.
+   * Options can be given with `withOptions`:
+   *  * priority: one of `user-blocking`, `user-visible` (default) or `background`.
+   *  * signal: an `AbortSignal` that cancels the task when aborted.
+   *  * destroyable: an object that cancels the task when destroyed.
+   *  * queue: name of a queue declared in `config.taskScheduler.queues`.
+   *  * hidden: `wait` (default), `timer` or `drop`. Policy of the task while
+   *    the page is hidden.
+   *  * staleAfter: milliseconds after which a task with `drop` policy is
+   *    cancelled when the page is visible again.
+   *  * ssr: `sync`, `defer` (default) or `drop`. Policy of the task while
+   *    rendering on the server.
+   *  * deadline: milliseconds after which the task is dropped when it has not
+   *    run yet. `onExpire` hook is called with the task.
+   *  * maxWait: milliseconds the task can wait. Tasks nearing their max wait
+   *    run ahead of others.
+   *  * dependsOn: task handles, promises or keys of tasks that must be done
+   *    before the task runs. Keys match the pending or running tasks with that
+   *    key. When one of them is cancelled or fails, the task is cancelled or
+   *    fails too.
+   *  * onError: function called with the error and stack when the task fails,
+   *    instead of `onError` hook.
+   *  * retries: number of times the task runs again when it fails.
+   *  * backoff: frames to wait before the first retry. It doubles on each
+   *    retry.
+   *
+   * Tasks are also cancelled when their target is destroyed.
+   *
+   * When the method returns an iterator (ie: a generator function), it is
+   * resumed on each frame until the frame budget is exhausted. Async
+   * iterators are resumed one value at a time.
+   *
+   * @method schedule
+   * @param {Object} target
+   * @param {Function|String} method
+   * @param {...Mixed} args
+   * @returns Task
+   * @public
+   */
+  schedule() {
+    return this._schedule(new Task(...this._sliceArguments(arguments)));
+  }
+
+  /**
+   * Schedule a unique task into the scheduler.
+   *
+   * When first argument is a function it ignores the rest.
+   * When the task is already scheduled, it returns the existing handle.
+   *
+   * Tasks are the same when they have the same target and method, or the same
+   * `key` option when given. The `merge` option sets how a duplicate updates
+   * the existing task:
+   *  * first: the existing task is kept as is.
+   *  * last (default): the existing task runs the method and arguments of the
+   *    duplicate.
+   *  * A function that receives the arguments of the existing task and the
+   *    duplicate, and returns the arguments of the existing task.
+   *
+   * @method scheduleOnce
+   * @param {Object} target
+   * @param {Function|String} method
+   * @param {...Mixed} args
+   * @returns Task
+   * @public
+   */
+  scheduleOnce() {
+    return this._schedule(new Task(...this._sliceArguments(arguments)), true);
+  }
+
+  /**
+   * Schedules a task into the scheduler and return a promise.
+   *
+   * The promise is resolved with the value returned by the task, rejected with
+   * its error or rejected with a `TaskCancelledError` when it is cancelled.
+   * Errors are not sent to `onError` hook.
+   *
+   * @method scheduleAsync
+   * @param {Object} target
+   * @param {Function|String} method
+   * @param {...Mixed} args
+   * @returns Promise
+   * @public
+   */
+  scheduleAsync() {
+    const task = new Task(...this._sliceArguments(arguments));
+    const deferred = defer();
+
+    task.deferred = deferred;
+    asyncTasks.set(deferred.promise, task);
+
+    this._schedule(task);
+
+    return deferred.promise;
+  }
+
+  /**
+   * Return a promise resolved on next slot of the frame budget, so a long
+   * async function can split its work between frames.
+   *
+   * It takes the queue, priority, target, signal and destroyable of the task
+   * of the function unless other options are given with `withOptions`. The
+   * task defaults to the one being executed, so it must be given once the
+   * function has awaited anything.
+   *
+   * The function runs with the rest of the frame budget once it is resumed,
+   * and its next yields are resumed on the same frame while the budget
+   * lasts. The promise is rejected with a `TaskCancelledError` when it is
+   * cancelled (ie: by its signal or destroyable) or the task was cancelled.
+   *
+   * @method yield
+   * @param {Task} [currentTask] Task of the async function.
+   * @returns Promise
+   * @public
+   */
+  yield(currentTask = this._currentTask) {
+    const options = this._takeOptions();
+
+    assert(
+      'Could not yield. Task must be a task handle',
+      currentTask === null || currentTask instanceof Task
+    );
+
+    const [, method, args, stack] = this._sliceArguments([() => {}], options);
+    const task = new Task(
+      currentTask?.target ?? null,
+      method,
+      args,
+      stack,
+      currentTask
+        ? {
+            priority: currentTask.priority,
+            signal: currentTask.signal,
+            destroyable: currentTask.destroyable,
+            ...options,
+          }
+        : options
+    );
+    const deferred = defer();
+
+    if (currentTask && !options.queue) {
+      task.queue = currentTask.queue;
+    }
+
+    task.isYield = true;
+    task.deferred = deferred;
+    asyncTasks.set(deferred.promise, task);
+
+    if (currentTask?.isCancelled) {
+      task.cancel();
+    } else {
+      this._schedule(task);
+    }
+
+    return deferred.promise;
+  }
+
+  /**
+   * Schedules a task into the scheduler to run when the browser is idle.
+   *
+   * It uses `requestIdleCallback` when available, otherwise it falls back to
+   * `setTimeout`. Besides the options of `schedule`, it accepts:
+   *  * timeout: maximum milliseconds to wait before running the task, even
+   *    when the browser is busy.
+   *
+   * @method scheduleIdle
+   * @param {Object} target
+   * @param {Function|String} method
+   * @param {...Mixed} args
+   * @returns Task
+   * @public
+   */
+  scheduleIdle() {
+    const task = new Task(...this._sliceArguments(arguments));
+
+    task.queue = this._idleQueue;
+
+    return this._schedule(task);
+  }
+
+  /**
+   * Schedules a task that reads the DOM into the scheduler.
+   *
+   * All reads of a frame run before all writes to avoid layout thrashing.
+   * Reads scheduled from writes run on next frame.
+   * Reads and writes run even when the frame budget is exhausted.
+   *
+   * @method scheduleRead
+   * @param {Object} target
+   * @param {Function|String} method
+   * @param {...Mixed} args
+   * @returns Task
+   * @public
+   */
+  scheduleRead() {
+    const task = new Task(...this._sliceArguments(arguments));
+
+    task.queue = this._readQueue;
+
+    return this._schedule(task);
+  }
+
+  /**
+   * Schedules a task that writes the DOM into the scheduler.
+   *
+   * All writes of a frame run after all reads to avoid layout thrashing.
+   * Writes scheduled from reads run on the same frame.
+   *
+   * @method scheduleWrite
+   * @param {Object} target
+   * @param {Function|String} method
+   * @param {...Mixed} args
+   * @returns Task
+   * @public
+   */
+  scheduleWrite() {
+    const task = new Task(...this._sliceArguments(arguments));
+
+    task.queue = this._writeQueue;
+
+    return this._schedule(task);
+  }
+
+  /**
+   * Schedules a task into the scheduler to run after a number of quiet frames.
+   *
+   * Each call with the same key delays the task again and replaces its
+   * method and arguments. Besides the key and the number of frames, it
+   * accepts the same arguments as `schedule`.
+   *
+   * @method debounceFrames
+   * @param {Mixed} key
+   * @param {Number} frames
+   * @param {Object} target
+   * @param {Function|String} method
+   * @param {...Mixed} args
+   * @returns Task
+   * @public
+   */
+  debounceFrames(key, frames, ...params) {
+    const task = new Task(...this._sliceArguments(params));
+
+    task.key = key;
+    task.frame = this._frame + frames;
+
+    return this._delay(task, true);
+  }
+
+  /**
+   * Schedules a task into the scheduler to run at most once every number of
+   * frames.
+   *
+   * The first call runs on next frame. Calls with the same key before the
+   * task has run replace its method and arguments. Besides the key and the
+   * number of frames, it accepts the same arguments as `schedule`.
+   *
+   * @method throttleFrames
+   * @param {Mixed} key
+   * @param {Number} frames
+   * @param {Object} target
+   * @param {Function|String} method
+   * @param {...Mixed} args
+   * @returns Task
+   * @public
+   */
+  throttleFrames(key, frames, ...params) {
+    const task = new Task(...this._sliceArguments(params));
+    const nextFrame = this._throttled.get(key) ?? -Infinity;
+
+    task.key = key;
+    task.frame = Math.max(this._frame + 1, nextFrame);
+
+    const currentTask = this._delay(task, false);
+
+    if (currentTask === task) {
+      this._throttled.set(key, task.frame + frames);
+    }
+
+    return currentTask;
+  }
+
+  /**
+   * Schedules a task into the scheduler to run every number of frames until
+   * it is stopped.
+   *
+   * Besides the options of `schedule`, it accepts with `withOptions`:
+   *  * everyNFrames: number of frames between runs. Every frame by default.
+   *  * maxRuns: number of runs after which the task is done.
+   *  * waiter: keep test waiters pending while the task is scheduled. Off by
+   *    default, so `settled()` does not wait forever.
+   *
+   * @method scheduleRecurring
+   * @param {Object} target
+   * @param {Function|String} method
+   * @param {...Mixed} args
+   * @returns RecurringTask
+   * @public
+   */
+  scheduleRecurring() {
+    const [target, method, args, stack, options] =
+      this._sliceArguments(arguments);
+    const { everyNFrames, maxRuns, waiter } = options;
+    const task = new RecurringTask(target, method, args, stack, options);
+
+    task.frame = this._frame + 1;
+    task._stop = () => this.cancel(task);
+
+    assert(
+      'Could not schedule a recurring task. everyNFrames must be a positive integer',
+      everyNFrames === undefined ||
+        (Number.isInteger(everyNFrames) && everyNFrames > 0)
+    );
+    assert(
+      'Could not schedule a recurring task. maxRuns must be a positive number',
+      maxRuns === undefined || maxRuns > 0
+    );
+    assert(
+      'Could not schedule a recurring task. waiter must be a boolean',
+      waiter === undefined || typeof waiter === 'boolean'
+    );
+
+    return this._schedule(task);
+  }
+
+  /**
+   * Create a group of related tasks.
+   *
+   * Tasks scheduled through the group can be cancelled with `cancelAll` and
+   * awaited with its `promise`. Its `pending`, `completed`, `failed` and
+   * `cancelled` counters can be used to show progress.
+   *
+   * @method createGroup
+   * @returns TaskGroup
+   * @public
+   */
+  createGroup() {
+    return new TaskGroup(this);
+  }
+
+  /**
+   * Return the scheduling methods of the scheduler with some options.
+   *
+   * The returned object has `schedule`, `scheduleOnce`, `scheduleAsync`,
+   * `scheduleIdle`, `scheduleRead`, `scheduleWrite`, `debounceFrames`,
+   * `throttleFrames`, `scheduleRecurring`, `yield` and `cancel` methods, which
+   * accept the same arguments as the ones of the scheduler. See `schedule` for
+   * the available options.
+   *
+   * @method withOptions
+   * @param {Object} options
+   * @returns Object
+   * @public
+   */
+  withOptions(options) {
+    return this._scope(this, options, SCOPED_METHODS);
+  }
+
+  /**
+   * Replace the frame driver of the scheduler.
+   *
+   * It accepts the name of a built-in driver (`raf`, `timeout`,
+   * `message-channel`, `manual` or `post-task`) or a `FrameDriver` instance.
+   * Running loops are moved to the new driver.
+   *
+   * @method setFrameDriver
+   * @param {String|FrameDriver} driver
+   * @public
+   */
+  setFrameDriver(driver) {
+    const frameDriver =
+      typeof driver === 'string' ? createFrameDriver(driver) : driver;
+
+    this._endLoops();
+
+    this._frameDriver = frameDriver;
+
+    this._start();
+  }
+
+  /**
+   * Reset the aggregate metrics of `stats`.
+   *
+   * @method resetStats
+   * @public
+   */
+  resetStats() {
+    this._stats = new Stats();
+  }
+
+  /**
+   * Try to cancel a given task.
+   *
+   * It accepts a task handle, a promise returned by `scheduleAsync` or the same
+   * arguments used to schedule the task.
+   * When first argument is a function it ignores the rest.
+   *
+   * Options with a `queue` name or a `key`, given with `withOptions`, restrict
+   * the tasks to the ones of that queue or with that key. Without arguments,
+   * all the tasks of the queue or with the key are cancelled.
+   *
+   * @method cancel
+   * @param {Task|Promise|Object} target
+   * @param {Function|String} method
+   * @returns Array
+   * @public
+   */
+  cancel() {
+    const params = [...arguments];
+    const removedTasks = [];
+    const options = this._takeOptions();
+    let matches;
+    let [target] = params;
+
+    if (asyncTasks.has(target)) {
+      target = asyncTasks.get(target);
+    }
+
+    if (target instanceof Task) {
+      matches = (task) => task === target;
+    } else if (params.length === 0) {
+      assert(
+        'Could not cancel tasks without target or options',
+        Object.keys(options).length !== 0
+      );
+
+      matches = () => true;
+    } else {
+      const [currentTarget, currentMethod] = this._sliceArguments(
+        params,
+        options
+      );
+
+      matches = (task) => task.matches(currentTarget, currentMethod);
+    }
+
+    if (options.queue) {
+      const queue = this._getQueue(options.queue);
+      const matchesTask = matches;
+
+      matches = (task) => task.queue === queue && matchesTask(task);
+    }
+
+    if ('key' in options) {
+      const matchesTask = matches;
+
+      matches = (task) => task.key === options.key && matchesTask(task);
+    }
+
+    [...this._frameQueues, this._idleQueue].forEach((queue) => {
+      removedTasks.push(...queue.remove(matches));
+    });
+
+    this._delayed.forEach((task, key) => {
+      if (matches(task)) {
+        this._delayed.delete(key);
+
+        removedTasks.push(task);
+      }
+    });
+
+    [this._waiting, this._blocked].forEach((tasks) => {
+      tasks.forEach((task) => {
+        if (matches(task)) {
+          tasks.delete(task);
+
+          removedTasks.push(task);
+        }
+      });
+    });
+
+    removedTasks.forEach((task) => task.cancel());
+
+    this._suspended.forEach((task) => {
+      if (matches(task)) {
+        this._suspended.delete(task);
+
+        task.cancel();
+
+        removedTasks.push(task);
+      }
+    });
+
+    this._endEmptyLoops();
+
+    return removedTasks;
+  }
+
+  /**
+   * Stop running tasks until the scheduler is resumed.
+   *
+   * Tasks can still be scheduled and cancelled while paused.
+   * Pending tasks do not block test waiters while paused.
+   *
+   * @method pause
+   * @public
+   */
+  pause() {
+    this._paused = true;
+
+    this._endLoops();
+  }
+
+  /**
+   * Continue running tasks after a pause.
+   *
+   * @method resume
+   * @public
+   */
+  resume() {
+    this._paused = false;
+
+    this._start();
+  }
+
+  /**
+   * Run all pending tasks now, ignoring the frame budget.
+   *
+   * Reads run first, then writes, then the rest of tasks by priority and
+   * finally idle tasks. Tasks scheduled while flushing are also run.
+   * Debounced and throttled tasks run without waiting for their frames.
+   * Recurring tasks keep waiting for their frames.
+   * Generator tasks run until they are done. It also runs while paused.
+   *
+   * @method flush
+   * @public
+   */
+  flush() {
+    let queue;
+
+    while (!this.isDestroyed && (queue = this._nextFlushQueue())) {
+      this._exec(queue.shift(), Infinity);
+    }
+
+    this._endEmptyLoops();
+  }
+
+  /**
+   * Return the queue whose first task must run next when flushing.
+   *
+   * Delayed tasks are released first.
+   *
+   * @method _nextFlushQueue
+   * @returns Queue
+   * @private
+   */
+  _nextFlushQueue() {
+    const queues = [this._queue, ...this._namedQueues.values()];
+
+    this._release(Infinity);
+
+    if (this._readQueue.length !== 0) {
+      return this._readQueue;
+    }
+
+    if (this._writeQueue.length !== 0) {
+      return this._writeQueue;
+    }
+
+    return (
+      pickQueue(queues, true) ||
+      (this._idleQueue.length !== 0 ? this._idleQueue : null)
+    );
+  }
+
+  /**
+   * Queues of tasks run on frames, sorted by execution order.
+   *
+   * @property _frameQueues
+   * @type Array
+   * @private
+   */
+  get _frameQueues() {
+    return [
+      this._readQueue,
+      this._writeQueue,
+      this._queue,
+      ...this._namedQueues.values(),
+    ];
+  }
+
+  /**
+   * Return a named queue or the default queue when no name is given.
+   *
+   * @method _getQueue
+   * @param {String} name
+   * @returns Queue
+   * @private
+   */
+  _getQueue(name) {
+    if (!name) {
+      return this._queue;
+    }
+
+    const queue = this._namedQueues.get(name);
+
+    assert(`Could not find a queue named "${name}"`, queue);
+
+    return queue;
+  }
+
+  /**
+   * Return when there are tasks to run on frames.
+   *
+   * @method _hasFrameTasks
+   * @returns Boolean
+   * @private
+   */
+  _hasFrameTasks() {
+    return (
+      this._delayed.size !== 0 ||
+      this._waiting.size !== 0 ||
+      this._frameQueues.some((queue) => queue.length !== 0)
+    );
+  }
+
+  /**
+   * Return when there are tasks to run on frames that keep test waiters
+   * pending.
+   *
+   * @method _hasTrackedFrameTasks
+   * @returns Boolean
+   * @private
+   */
+  _hasTrackedFrameTasks() {
+    return (
+      this._delayed.size !== 0 ||
+      [...this._waiting].some(isTracked) ||
+      this._frameQueues.some((queue) => queue.find(isTracked))
+    );
+  }
+
+  /**
+   * Begin or end the waiter of the frame loop.
+   *
+   * Test waiters are pending while the frame loop runs tracked tasks.
+   *
+   * @method _syncWaiter
+   * @private
+   */
+  _syncWaiter() {
+    // Manual frames are run by tests, so there is nothing to wait for.
+    const pending =
+      Boolean(this._currentInstance) &&
+      !this.frameDriver.manual &&
+      this._hasTrackedFrameTasks();
+
+    if (pending && !this._waiterToken) {
+      this._waiterToken = waiter.beginAsync();
+    } else if (!pending && this._waiterToken) {
+      waiter.endAsync(this._waiterToken);
+
+      this._waiterToken = null;
+    }
+  }
+
+  /**
+   * Return when there are tasks to run while the page is hidden, including
+   * delayed and waiting ones.
+   *
+   * @method _hasHiddenTasks
+   * @param {Function} [matches] Filter of the tasks. Hidden policy by default.
+   * @returns Boolean
+   * @private
+   */
+  _hasHiddenTasks(matches = runsHidden) {
+    return (
+      [...this._delayed.values(), ...this._waiting].some(matches) ||
+      this._frameQueues.some((queue) => queue.find(matches))
+    );
+  }
+
+  /**
+   * Begin or end the waiter of the hidden loop.
+   *
+   * Test waiters are pending while the hidden loop runs tracked tasks.
+   *
+   * @method _syncHiddenWaiter
+   * @private
+   */
+  _syncHiddenWaiter() {
+    const pending =
+      Boolean(this._hiddenInstance) &&
+      !this.frameDriver.manual &&
+      this._hasHiddenTasks((task) => runsHidden(task) && isTracked(task));
+
+    if (pending && !this._hiddenWaiterToken) {
+      this._hiddenWaiterToken = waiter.beginAsync();
+    } else if (!pending && this._hiddenWaiterToken) {
+      waiter.endAsync(this._hiddenWaiterToken);
+
+      this._hiddenWaiterToken = null;
+    }
+  }
+
+  /**
+   * Return when rendering on the server.
+   *
+   * @property _isFastBoot
+   * @type Boolean
+   * @private
+   */
+  get _isFastBoot() {
+    return Boolean(this._fastboot?.isFastBoot);
+  }
+
+  /**
+   * Return current time of the frame driver.
+   *
+   * @method _now
+   * @returns Float
+   * @private
+   */
+  _now() {
+    return this.frameDriver.now();
+  }
+
+  /**
+   * Begin the loops that have tasks to run and are not running.
+   *
+   * While the page is hidden, the hidden loop is begun instead of the frame
+   * loop. Nothing is begun while paused.
+   *
+   * @method _start
+   * @private
+   */
+  _start() {
+    if (this._paused) {
+      return;
+    }
+
+    if (this._hidden) {
+      if (!this._hiddenInstance) {
+        if (this._hasHiddenTasks()) {
+          this._beginHidden();
+        }
+      } else if (!this._hiddenWaiterToken) {
+        this._syncHiddenWaiter();
+      }
+    } else if (!this._currentInstance) {
+      if (this._hasFrameTasks()) {
+        this._begin();
+      }
+    } else if (!this._waiterToken) {
+      this._syncWaiter();
+    }
+
+    if (!this._idleInstance && this._idleQueue.length !== 0) {
+      this._beginIdle();
+    }
+  }
+
+  /**
+   * End the loops that are running.
+   *
+   * @method _endLoops
+   * @private
+   */
+  _endLoops() {
+    if (this._currentInstance) {
+      this._end();
+    }
+
+    if (this._hiddenInstance) {
+      this._endHidden();
+    }
+
+    if (this._idleInstance) {
+      this._endIdle();
+    }
+  }
+
+  /**
+   * End the loops that are running without tasks.
+   *
+   * @method _endEmptyLoops
+   * @private
+   */
+  _endEmptyLoops() {
+    if (this._currentInstance && !this._hasFrameTasks()) {
+      this._end();
+    }
+
+    if (this._hiddenInstance && !this._hasHiddenTasks()) {
+      this._endHidden();
+    }
+
+    if (this._idleInstance && this._idleQueue.length === 0) {
+      this._endIdle();
+    }
+  }
+
+  /**
+   * Stop the frame loop when the page is hidden and begin it again when the
+   * page is visible.
+   *
+   * Stale tasks are cancelled when the page is visible again.
+   *
+   * @method _onVisibilityChange
+   * @private
+   */
+  _onVisibilityChange() {
+    const hidden = isHidden();
+
+    if (this.isDestroyed || hidden === this._hidden) {
+      return;
+    }
+
+    this._hidden = hidden;
+
+    if (hidden) {
+      if (this._currentInstance) {
+        this._end();
+      }
+    } else {
+      if (this._hiddenInstance) {
+        this._endHidden();
+      }
+
+      this._dropStale();
+    }
+
+    this._start();
+  }
+
+  /**
+   * Cancel the tasks that have waited longer than their staleness age.
+   *
+   * @method _dropStale
+   * @returns Array
+   * @private
+   */
+  _dropStale() {
+    const now = this._now();
+    const removedTasks = [];
+
+    this._frameQueues.forEach((queue) => {
+      removedTasks.push(...queue.remove((task) => isStale(task, now)));
+    });
+
+    removedTasks.forEach((task) => task.cancel());
+
+    return removedTasks;
+  }
+
+  /**
+   * Cancel a task whose deadline has passed and call `onExpire` hook.
+   *
+   * @method _expire
+   * @param {Task} task
+   * @private
+   */
+  _expire(task) {
+    task.cancel(new TaskExpiredError());
+
+    this.onExpire(task);
+  }
+
+  /**
+   * Drop the tasks whose deadline has passed.
+   *
+   * Loops left without tasks are ended.
+   *
+   * @method _dropExpired
+   * @private
+   */
+  _dropExpired() {
+    const now = this._now();
+    const removedTasks = [];
+
+    [...this._frameQueues, this._idleQueue].forEach((queue) => {
+      removedTasks.push(...queue.remove((task) => isExpired(task, now)));
+    });
+
+    removedTasks.forEach((task) => this._expire(task));
+
+    this._endEmptyLoops();
+  }
+
+  /**
+   * Move the tasks nearing their max wait ahead of the other tasks.
+   *
+   * @method _promote
+   * @param {Array} queues
+   * @param {Float} time
+   * @private
+   */
+  _promote(queues, time) {
+    const millisecondsPerFrame = this.millisecondsPerFrame;
+
+    queues.forEach((queue) => {
+      queue
+        .remove(
+          (task) =>
+            !task.promoted && isStarving(task, time, millisecondsPerFrame)
+        )
+        .forEach((task) => {
+          task.promoted = true;
+
+          queue.push(task);
+        });
+    });
+  }
+
+  /**
+   * Add a task into the scheduler and begin the frame loop when needed.
+   *
+   * When the signal of the task is already aborted or its target is already
+   * destroyed, the task is cancelled.
+   * When a dependency of the task is already aborted, the task is aborted too.
+   * When the task must be unique, the existing task is returned instead.
+   *
+   * While rendering on the server, tasks are dropped, run now or run on frames
+   * by their SSR policy. Rendering waits for the tasks that are not dropped.
+   *
+   * @method _schedule
+   * @param {Task} task
+   * @param {Boolean} once
+   * @returns Task
+   * @private
+   */
+  _schedule(task, once = false) {
+    const { signal } = task;
+    const destroyables = destroyablesOf(task);
+
+    task.queue = task.queue || this._getQueue(task.queueName);
+    task.priority = task.priority || task.queue.priority || DEFAULT_PRIORITY;
+    task.hidden = task.hidden || task.queue.hidden || DEFAULT_HIDDEN_POLICY;
+    task.staleAfter = task.staleAfter ?? task.queue.staleAfter ?? 0;
+    task.ssr =
+      task.ssr ||
+      task.queue.ssr ||
+      this.config.taskScheduler?.ssr ||
+      DEFAULT_SSR_POLICY;
+    task.scheduledAt = this._now();
+    this._resolveDependencies(task);
+
+    const abortedDependency = task.dependencies.find(isAborted);
+    const isFastBoot = this._isFastBoot;
+    const runsNow = isFastBoot && task.ssr === SYNC;
+
+    if (
+      signal?.aborted ||
+      destroyables.some(isDestroying) ||
+      (isFastBoot && task.ssr === DROP)
+    ) {
+      task.cancel();
+
+      return task;
+    }
+
+    if (abortedDependency) {
+      abortBy(task, abortedDependency);
+
+      return task;
+    }
+
+    const isBlocked = task.dependencies.some(
+      (dependency) => !dependency.isFinished
+    );
+
+    if (isBlocked) {
+      this._block(task);
+    } else if (!runsNow) {
+      task = this._enqueue(task, once);
+    }
+
+    // Duplicates of unique tasks add their callers to the existing task.
+    const release = this._claim(task);
+
+    if (signal) {
+      this._listen(task, signal, release);
+    }
+
+    destroyables.forEach((destroyable) =>
+      this._watch(task, destroyable, release)
+    );
+
+    if (isFastBoot) {
+      this._deferRendering(task);
+    }
+
+    if (runsNow && !isBlocked) {
+      this._exec(task, Infinity);
+    } else {
+      this._wake(task);
+    }
+
+    return task;
+  }
+
+  /**
+   * Make FastBoot wait for a task before serializing the response.
+   *
+   * @method _deferRendering
+   * @param {Task} task
+   * @private
+   */
+  _deferRendering(task) {
+    const deferred = defer();
+
+    task.addTeardown(() => deferred.resolve());
+
+    this._fastboot.deferRendering(deferred.promise);
+  }
+
+  /**
+   * Push a task into the queue or collection where it waits to run.
+   *
+   * @method _enqueue
+   * @param {Task} task
+   * @param {Boolean} once
+   * @returns Task
+   * @private
+   */
+  _enqueue(task, once = false) {
+    if (task instanceof RecurringTask) {
+      this._waiting.add(task);
+    } else if (task.frame !== null) {
+      this._delayed.set(task.key, task);
+    } else if (once) {
+      return this._pushUnique(task);
+    } else {
+      task.queue.push(task);
+    }
+
+    return task;
+  }
+
+  /**
+   * Replace the handles, promises or keys of the dependencies of a task with
+   * their tasks.
+   *
+   * Keys are resolved to the pending or running tasks with that key. Keys
+   * without such tasks are satisfied, as their tasks are finished or were
+   * never scheduled.
+   *
+   * @method _resolveDependencies
+   * @param {Task} task
+   * @private
+   */
+  _resolveDependencies(task) {
+    const dependencies = task.dependencies;
+
+    task.dependencies = [];
+
+    dependencies.forEach((dependency) => {
+      if (asyncTasks.has(dependency)) {
+        task.dependencies.push(asyncTasks.get(dependency));
+      } else if (dependency instanceof Task) {
+        task.dependencies.push(dependency);
+      } else {
+        // The running task is not held anywhere while it is executed.
+        const tasks = [...this._pendingTasks(), this._currentTask].filter(
+          (pendingTask) => pendingTask?.key === dependency
+        );
+
+        task.dependencies.push(...tasks);
+      }
+    });
+  }
+
+  /**
+   * Return the tasks held by the scheduler until they run or while they are
+   * running: queued, delayed, waiting, blocked and suspended tasks.
+   *
+   * @method _pendingTasks
+   * @returns Array
+   * @private
+   */
+  _pendingTasks() {
+    return [
+      ...this._frameQueues.flatMap((queue) => queue.tasks),
+      ...this._idleQueue.tasks,
+      ...this._delayed.values(),
+      ...this._waiting,
+      ...this._blocked,
+      ...this._suspended,
+    ];
+  }
+
+  /**
+   * Hold a task until its dependencies are finished.
+   *
+   * @method _block
+   * @param {Task} task
+   * @private
+   */
+  _block(task) {
+    this._blocked.add(task);
+
+    task.dependencies.forEach((dependency) =>
+      dependency.addTeardown(() => this._unblock(task))
+    );
+  }
+
+  /**
+   * Release a blocked task when its dependencies are finished.
+   *
+   * When a dependency is aborted, the task is aborted too.
+   *
+   * @method _unblock
+   * @param {Task} task
+   * @private
+   */
+  _unblock(task) {
+    const dependencies = task.dependencies;
+    const abortedDependency = dependencies.find(isAborted);
+
+    if (this.isDestroyed || !this._blocked.has(task)) {
+      return;
+    }
+
+    if (abortedDependency) {
+      this._blocked.delete(task);
+
+      abortBy(task, abortedDependency);
+    } else if (dependencies.every((dependency) => dependency.isFinished)) {
+      this._blocked.delete(task);
+
+      this._enqueue(task);
+      this._wake(task);
+    }
+  }
+
+  /**
+   * Begin the loop of the queue of the task when it is not running.
+   *
+   * When the task has a timeout, the idle loop is rescheduled to honour it.
+   *
+   * @method _wake
+   * @param {Task} task
+   * @private
+   */
+  _wake(task) {
+    if (
+      !this._paused &&
+      this._idleInstance &&
+      task.queue === this._idleQueue &&
+      typeof task.timeout === 'number'
+    ) {
+      this.frameDriver.cancelIdle(this._idleInstance);
+
+      this._idleInstance = this._requestIdle();
+    }
+
+    this._start();
+
+    if (this._currentInstance && this.frameDriver.prioritizeFrame) {
+      this.frameDriver.prioritizeFrame(
+        this._currentInstance,
+        this._framePriority()
+      );
+    }
+  }
+
+  /**
+   * Return the priority of the most urgent task that waits for a frame.
+   *
+   * Promoted tasks are the most urgent.
+   *
+   * @method _framePriority
+   * @returns String
+   * @private
+   */
+  _framePriority() {
+    const rank = Math.min(
+      ...this._frameQueues
+        .filter((queue) => queue.length !== 0)
+        .map((queue) => queue.first.rank)
+    );
+
+    return PRIORITIES[Math.max(0, rank)] || DEFAULT_PRIORITY;
+  }
+
+  /**
+   * Add a caller to the task and return a function to call when the caller
+   * gives up. The task is cancelled once all of its callers have given up.
+   *
+   * @method _claim
+   * @param {Task} task
+   * @returns Function
+   * @private
+   */
+  _claim(task) {
+    let released = false;
+
+    task.claims++;
+
+    return () => {
+      if (released) {
+        return;
+      }
+
+      released = true;
+
+      if (--task.claims === 0) {
+        this.cancel(task);
+      }
+    };
+  }
+
+  /**
+   * Release a caller of the task when the signal is aborted.
+   *
+   * @method _listen
+   * @param {Task} task
+   * @param {AbortSignal} signal
+   * @param {Function} release
+   * @private
+   */
+  _listen(task, signal, release) {
+    signal.addEventListener('abort', release);
+
+    task.addTeardown(() => signal.removeEventListener('abort', release));
+  }
+
+  /**
+   * Release a caller of the task when the destroyable is destroyed.
+   *
+   * @method _watch
+   * @param {Task} task
+   * @param {Object} destroyable
+   * @param {Function} release
+   * @private
+   */
+  _watch(task, destroyable, release) {
+    const destructor = registerDestructor(destroyable, release);
+
+    task.addTeardown(() => {
+      if (!isDestroying(destroyable)) {
+        unregisterDestructor(destroyable, destructor);
+      }
+    });
+  }
+
+  /**
+   * Push unique task into scheduler.
+   *
+   * When a duplicate is found, it is merged into the existing task. Tasks
+   * with the same key are duplicates wherever they are held, tasks without
+   * key only when they call the same method on the same queue.
+   *
+   * @method _pushUnique
+   * @param {Task} task
+   * @returns Task
+   * @private
+   */
+  _pushUnique(task) {
+    const { queue, key, merge } = task;
+    const currentTask = this._pendingTasks().find((currentTask) =>
+      key === null
+        ? currentTask.queue === queue &&
+          currentTask.matches(task.target, task.method)
+        : currentTask.key === key
+    );
+
+    if (!currentTask) {
+      queue.push(task);
+
+      return task;
+    }
+
+    if (typeof merge === 'function') {
+      const args = merge(currentTask.args, task.args);
+
+      assert(
+        'Could not merge arguments. It must be an array',
+        Array.isArray(args)
+      );
+
+      currentTask.args = args;
+    } else if (merge !== FIRST) {
+      currentTask.target = task.target;
+      currentTask.method = task.method;
+      currentTask.args = task.args;
+      currentTask.stack = task.stack;
+    }
+
+    return currentTask;
+  }
+
+  /**
+   * Add a task into the scheduler that waits for a number of frames.
+   *
+   * When a task with the same key is waiting or blocked by its dependencies,
+   * it takes the method and arguments of the new task and, when reset, its
+   * frame. Blocked tasks are delayed once unblocked, so there is never more
+   * than one delayed task by key.
+   *
+   * @method _delay
+   * @param {Task} task
+   * @param {Boolean} reset
+   * @returns Task
+   * @private
+   */
+  _delay(task, reset) {
+    const currentTask =
+      this._delayed.get(task.key) ??
+      [...this._blocked].find(({ key }) => key === task.key);
+
+    if (!currentTask) {
+      return this._schedule(task);
+    }
+
+    currentTask.target = task.target;
+    currentTask.method = task.method;
+    currentTask.args = task.args;
+    currentTask.stack = task.stack;
+
+    if (reset) {
+      currentTask.frame = task.frame;
+    }
+
+    return currentTask;
+  }
+
+  /**
+   * Push the delayed tasks that can run on a given frame into their queues and
+   * forget the throttled keys that would not delay next call.
+   *
+   * @method _release
+   * @param {Number} frame
+   * @private
+   */
+  _release(frame) {
+    this._delayed.forEach((task, key) => {
+      if (task.frame <= frame) {
+        this._delayed.delete(key);
+
+        task.queue.push(task);
+      }
+    });
+
+    this._throttled.forEach((nextFrame, key) => {
+      if (nextFrame <= frame + 1) {
+        this._throttled.delete(key);
+      }
+    });
+  }
+
+  /**
+   * Push the waiting tasks that can run on a given frame into their queues.
+   *
+   * @method _releaseWaiting
+   * @param {Number} frame
+   * @private
+   */
+  _releaseWaiting(frame) {
+    this._waiting.forEach((task) => {
+      if (task.frame <= frame) {
+        this._waiting.delete(task);
+
+        task.queue.push(task);
+      }
+    });
+
+    // Retries of idle tasks are released into the idle queue.
+    if (!this._idleInstance && this._idleQueue.length !== 0) {
+      this._beginIdle();
+    }
+  }
+
+  /**
+   * Add a task back into the scheduler to wait for a number of frames.
+   *
+   * By default, recurring tasks wait for their next frame.
+   *
+   * @method _repeat
+   * @param {Task} task
+   * @param {Number} frames
+   * @private
+   */
+  _repeat(task, frames = task.everyNFrames) {
+    task.frame = this._frame + frames;
+
+    this._waiting.add(task);
+
+    this._wake(task);
+  }
+
+  /**
+   * Push a running task back into scheduler to be resumed on next frames.
+   *
+   * It is pushed after the tasks with same priority, so they are not starved.
+   *
+   * @method _resume
+   * @param {Task} task
+   * @private
+   */
+  _resume(task) {
+    task.queue.push(task);
+
+    this._wake(task);
+  }
+
+  /**
+   * Wait for the next value of the async iterator of a task.
+   *
+   * The task is resumed on next frame when the value is received. When the
+   * iterator rejects with a cancellation error (ie: of a yield), the task is
+   * cancelled. Otherwise, it fails.
+   *
+   * @method _await
+   * @param {Task} task
+   * @private
+   */
+  _await(task) {
+    // Frames of manual drivers only run when asked, so waiters do not wait
+    // for tasks resumed on frames.
+    const token = this.frameDriver.manual ? null : waiter.beginAsync();
+    const suspended = this._suspended;
+
+    suspended.add(task);
+
+    task.iterator
+      .next()
+      .then(
+        (result) => {
+          if (!suspended.delete(task) || this.isDestroyed) {
+            return;
+          }
+
+          if (result.done) {
+            run(() => task.resolve(result.value));
+
+            if (task.isPending) {
+              this._repeat(task);
+            }
+          } else {
+            this._resume(task);
+          }
+        },
+        (e) => {
+          if (!suspended.delete(task)) {
+            return;
+          }
+
+          // A yield of an async function is rejected when it is cancelled.
+          if (isTaskCancelledError(e)) {
+            run(() => task.cancel(e));
+          } else {
+            run(() => this._fail(task, e));
+          }
+        }
+      )
+      .finally(() => {
+        if (token) {
+          waiter.endAsync(token);
+        }
+      });
+  }
+
+  /**
+   * Retry a failed task or reject it and report its error.
+   *
+   * Retries wait for a number of frames that doubles on each attempt.
+   * The error is sent to the `onError` option of the task or, unless the task
+   * has a promise, to `onError` hook. An `error` event is always triggered
+   * with the error and the metadata of the task.
+   *
+   * @method _fail
+   * @param {Task} task
+   * @param {Error} error
+   * @private
+   */
+  _fail(task, error) {
+    const onError = task.onError || (task.deferred ? null : this.onError);
+
+    // Recurring tasks stopped while running are not retried.
+    if (task.attempts < task.retries && !task._stopped && !this.isDestroyed) {
+      task.retry(error);
+
+      this._repeat(task, task.backoff * 2 ** (task.attempts - 1));
+
+      return;
+    }
+
+    task.reject(error);
+
+    this.trigger('error', {
+      error,
+      task,
+      id: task.id,
+      key: task.key,
+      queue: task.queue.name,
+      priority: task.priority,
+      attempts: task.attempts,
+      stack: task.stack,
+    });
+
+    if (onError) {
+      onError(error, task.stack);
+    }
+  }
+
+  /**
+   * Begin a new frame scheduling loop.
+   *
+   * @method _begin
+   * @private
+   */
+  _begin() {
+    assert(
+      'Could not schedule a new frame. Scheduler instance is already started',
+      !this._currentInstance
+    );
+
+    this._currentInstance = scheduleFrame(this, '_loop');
+
+    this._syncWaiter();
+  }
+
+  /**
+   * Schedule a new frame loop.
+   *
+   * @method _next
+   * @private
+   */
+  _next() {
+    assert(
+      'Could not schedule next frame. Scheduler instance is not running',
+      this._currentInstance
+    );
+    assert(
+      'Could not schedule next frame. Scheduler has no tasks',
+      this._hasFrameTasks()
+    );
+
+    this._currentInstance = scheduleFrame(this, '_loop');
+
+    this._syncWaiter();
+  }
+
+  /**
+   * End current frame loop.
+   *
+   * If frame loop is not started, it will be canceled.
+   *
+   * @method _end
+   * @private
+   */
+  _end() {
+    const currentInstance = this._currentInstance;
+
+    assert(
+      'Could not stop scheduler. Service instance is not running',
+      currentInstance
+    );
+
+    this.frameDriver.cancelFrame(currentInstance);
+
+    this._currentInstance = null;
+
+    // Next frame is not consecutive to last one.
+    this._frameMeter?.reset();
+
+    this._syncWaiter();
+  }
+
+  /**
+   * Begin a new idle scheduling loop.
+   *
+   * @method _beginIdle
+   * @private
+   */
+  _beginIdle() {
+    assert(
+      'Could not schedule a new idle callback. Idle loop is already started',
+      !this._idleInstance
+    );
+
+    this._idleWaiterToken = this.frameDriver.manual
+      ? null
+      : waiter.beginAsync();
+    this._idleInstance = this._requestIdle();
+  }
+
+  /**
+   * Request an idle callback honouring the nearest timeout of idle tasks.
+   *
+   * @method _requestIdle
+   * @return Number
+   * @private
+   */
+  _requestIdle() {
+    const now = this._now();
+    let timeout;
+
+    this._idleQueue.tasks.forEach((task) => {
+      if (typeof task.timeout === 'number') {
+        const remaining = Math.max(0, task.scheduledAt + task.timeout - now);
+
+        timeout = Math.min(timeout ?? remaining, remaining);
+      }
+    });
+
+    return this.frameDriver.requestIdle(
+      (deadline) => this._idleLoop(deadline),
+      timeout === undefined ? undefined : { timeout }
+    );
+  }
+
+  /**
+   * End current idle loop.
+   *
+   * @method _endIdle
+   * @private
+   */
+  _endIdle() {
+    const idleInstance = this._idleInstance;
+
+    assert('Could not stop idle loop. It is not running', idleInstance);
+
+    this.frameDriver.cancelIdle(idleInstance);
+
+    this._idleInstance = null;
+
+    if (this._idleWaiterToken) {
+      waiter.endAsync(this._idleWaiterToken);
+
+      this._idleWaiterToken = null;
+    }
+  }
+
+  /**
+   * Begin a new loop run on timers while the page is hidden.
+   *
+   * @method _beginHidden
+   * @private
+   */
+  _beginHidden() {
+    assert(
+      'Could not schedule a new timer. Hidden loop is already started',
+      !this._hiddenInstance
+    );
+
+    this._hiddenInstance = this.frameDriver.requestTimer(
+      () => this._hiddenLoop(),
+      this.millisecondsPerFrame
+    );
+
+    this._syncHiddenWaiter();
+  }
+
+  /**
+   * End current hidden loop.
+   *
+   * @method _endHidden
+   * @private
    */
-  schedule() {
-    const tasks = this._tasks;
-    const currentInstance = this._currentInstance;
+  _endHidden() {
+    const hiddenInstance = this._hiddenInstance;
 
-    tasks.push(this._sliceArguments(...arguments));
+    assert('Could not stop hidden loop. It is not running', hiddenInstance);
 
-    if (!currentInstance) {
-      this._begin();
-    }
+    this.frameDriver.cancelTimer(hiddenInstance);
+
+    this._hiddenInstance = null;
+
+    this._syncHiddenWaiter();
   }
 
   /**
-   * Schedule a unique task into the scheduler.
+   * Ember hook.
    *
-   * When first argument is a function it ignores the rest.
    *
-   * @method scheduleOnce
-   * @param {Object} target
-   * @param {Function|String} method
-   * @param {...Mixed} args
-   * @public
+   * @method willDestroy
+   * @private
    */
-  scheduleOnce() {
-    const currentInstance = this._currentInstance;
+  // istanbul ignore next
+  willDestroy() {
+    super.willDestroy(...arguments);
 
-    this._pushUnique(this._sliceArguments(...arguments));
+    removeVisibilityListener(this._visibilityListener);
 
-    if (!currentInstance) {
-      this._begin();
-    }
+    this._endLoops();
   }
 
   /**
-   * Try to cancel a given task.
+   * Frame running loop. It tries to fit tasks in a given frame until frame takes too long.
    *
-   * When first argument is a function it ignores the rest.
+   * Reads and writes run first, then the rest of tasks fit in the remaining time.
+   * Named queues only run when their FPS allows it and within their budget
+   * and concurrency.
    *
-   * @method cancel
-   * @param {Object} target
-   * @param {Function|String} method
-   * @returns Array
-   * @public
+   * When the budget is adaptive, the frame is measured and the budget starts
+   * counting when the loop starts instead of when the frame started.
+   *
+   * @method _loop
+   * @param {Float} startTime
+   * @private
    */
-  cancel() {
+  _loop(startTime) {
+    // istanbul ignore if: lifecycle
+    if (this.isDestroyed) {
+      return;
+    }
+
+    const frameMeter = this._frameMeter;
+    const frameStartTime = frameMeter ? this._now() : startTime;
+
+    frameMeter?.measure(startTime, frameStartTime);
+
+    const frameBudget = this.frameBudget;
+    const deadline = frameStartTime + frameBudget;
     const currentInstance = this._currentInstance;
-    const [target, method] = this._sliceArguments(...arguments);
-    const tasks = this._tasks;
-    const removedTasks = [];
-    const removedIndexes = [];
+    // Loop could be ended while running tasks (ie: paused or flushed).
+    const isRunning = () =>
+      !this.isDestroyed && this._currentInstance === currentInstance;
+
+    assert(
+      'Could not run current loop. Service instance has no tasks.',
+      this._hasFrameTasks()
+    );
+
+    this._release(++this._frame);
+    this._releaseWaiting(this._frame);
+    this._dropExpired();
+
+    // Loop is ended when all tasks have expired.
+    if (!isRunning()) {
+      return;
+    }
+
+    this._frameTasks = 0;
+
+    this._flush(this._readQueue, deadline, isRunning);
+    this._flush(this._writeQueue, deadline, isRunning);
+
+    const allQueues = [this._queue, ...this._namedQueues.values()];
+
+    this._promote(allQueues, this._now());
+
+    // Queues with promoted tasks run regardless of their FPS. Empty queues
+    // without FPS can run tasks added on this frame (ie: unblocked tasks).
+    const queues = allQueues.filter((queue) =>
+      queue.length === 0
+        ? queue.interval === 0
+        : queue.isReady(startTime) || queue.first.promoted
+    );
+    let ran = false;
+    let resumed = false;
+
+    queues.forEach((queue) => queue.start(startTime));
+
+    // At least one task runs on each frame.
+    while (
+      isRunning() &&
+      (!ran || this._now() - frameStartTime < frameBudget)
+    ) {
+      const nextQueue = pickQueue(queues);
+
+      if (!nextQueue) {
+        break;
+      }
+
+      const taskStartTime = this._now();
+      const task = nextQueue.shift();
+
+      this._exec(
+        task,
+        Math.min(deadline, taskStartTime + nextQueue.budget - nextQueue.spent)
+      );
 
-    // Find removable tasks.
-    for (let i = 0; i < tasks.length; i++) {
-      const [currentTarget, currentMethod] = tasks[i];
+      nextQueue.track(this._now() - taskStartTime);
 
-      if (currentTarget === target && currentMethod === method) {
-        removedIndexes.push(i);
+      ran = true;
+
+      // Functions resumed by a yield run after the loop with the rest of the
+      // frame.
+      if (task.isYield) {
+        resumed = true;
+
+        break;
       }
     }
 
-    // Remove tasks.
-    for (let i = 0; i < removedIndexes.length; i++) {
-      const index = removedIndexes[i];
+    // istanbul ignore else: lifecycle
+    if (!this.isDestroyed) {
+      this._trackFrame(frameStartTime, frameBudget);
+    }
 
-      removedTasks.push(tasks.splice(index, 1));
+    // After exec, service could be destroyed or loop could be ended. Recheck.
+    if (!isRunning()) {
+      return;
     }
 
-    if (currentInstance && tasks.length === 0) {
-      this._end();
+    if (resumed) {
+      this._resumeYields(
+        () => pickQueue(queues)?.first,
+        deadline,
+        () => Boolean(this._currentInstance)
+      );
     }
 
-    return removedTasks;
+    if (this._hasFrameTasks()) {
+      this._next();
+
+      return;
+    }
+
+    this._end();
   }
 
   /**
-   * Push unique task into scheduler.
+   * Resume next yields once the function resumed last has run until its next
+   * `await`, so several yields are resumed on the same frame while the
+   * deadline is not reached.
    *
-   * When a duplicate is found, replace old arguments with new one.
+   * Yields are resumed only while they are ahead of the rest of tasks, which
+   * keep waiting for their loop, and while their queue can run.
    *
-   * @method _pushUnique
-   * @param {Array} params
+   * @method _resumeYields
+   * @param {Function} next Return the next task to run, if any.
+   * @param {Float} deadline
+   * @param {Function} isRunning
    * @private
    */
-  _pushUnique(params) {
-    const [target, method, args, stack] = params;
-    const tasks = this._tasks;
-
-    for (let i = 0; i < tasks.length; i++) {
-      const [currentTarget, currentMethod] = tasks[i];
-
-      if (currentTarget === target && currentMethod === method) {
-        tasks[i][2] = args; // replace args
-        tasks[i][3] = stack; // eslint-disable-line no-magic-numbers
+  _resumeYields(next, deadline, isRunning) {
+    // Resumed functions are queued before, so they run first.
+    queueMicrotask(() => {
+      const task = next();
 
+      if (!isRunning() || !task?.isYield || this._now() >= deadline) {
         return;
       }
-    }
 
-    tasks.push(params);
-  }
+      const taskStartTime = this._now();
 
-  /**
-   * Begin a new frame scheduling loop.
-   *
-   * @method _begin
-   * @private
-   */
-  _begin() {
-    assert(
-      'Could not schedule a new frame. Scheduler instance is already started',
-      !this._currentInstance
-    );
+      task.queue.shift();
 
-    this._waiterToken = waiter.beginAsync();
-    this._currentInstance = scheduleFrame(this, '_loop');
+      this._exec(task, deadline);
+
+      task.queue.track(this._now() - taskStartTime);
+
+      this._endEmptyLoops();
+      this._resumeYields(next, deadline, isRunning);
+    });
   }
 
   /**
-   * Schedule a new frame loop.
+   * Run all tasks of a queue, including the ones added while running.
    *
-   * @method _next
+   * Resumed tasks stop the queue once the deadline is reached.
+   *
+   * @method _flush
+   * @param {Queue} queue
+   * @param {Float} deadline
+   * @param {Function} isRunning
    * @private
    */
-  _next() {
-    assert(
-      'Could not schedule next frame. Scheduler instance is not running',
-      this._currentInstance
-    );
-    assert(
-      'Could not schedule next frame. Scheduler has no tasks',
-      this.hasPendingTasks()
-    );
-
-    this._currentInstance = scheduleFrame(this, '_loop');
+  _flush(queue, deadline, isRunning) {
+    while (
+      isRunning() &&
+      queue.length > 0 &&
+      !(queue.first.isRunning && this._now() >= deadline)
+    ) {
+      this._exec(queue.shift(), deadline);
+    }
   }
 
   /**
-   * End current frame loop.
-   *
-   * If frame loop is not started, it will be canceled.
+   * Hidden running loop. It runs tasks with `timer` policy within the frame
+   * budget while the page is hidden.
    *
-   * @method _end
+   * @method _hiddenLoop
    * @private
    */
-  _end() {
-    const currentInstance = this._currentInstance;
+  _hiddenLoop() {
+    // istanbul ignore if: lifecycle
+    if (this.isDestroyed) {
+      return;
+    }
 
-    assert(
-      'Could not stop scheduler. Service instance is not running',
-      currentInstance
+    const startTime = this._now();
+    const millisecondsPerFrame = this.millisecondsPerFrame;
+    const deadline = startTime + millisecondsPerFrame;
+    const hiddenInstance = this._hiddenInstance;
+    // Loop could be ended while running tasks (ie: paused or flushed).
+    const isRunning = () =>
+      !this.isDestroyed && this._hiddenInstance === hiddenInstance;
+    let task;
+
+    // Frames keep counting, so delayed and recurring tasks are released.
+    this._release(++this._frame);
+    this._releaseWaiting(this._frame);
+
+    do {
+      task = this._nextHiddenTask();
+
+      if (task) {
+        this._exec(task, deadline);
+      }
+    } while (
+      task &&
+      isRunning() &&
+      this._now() - startTime < millisecondsPerFrame
     );
 
-    cancelAnimationFrame(currentInstance);
+    // After exec, service could be destroyed or loop could be ended. Recheck.
+    if (!isRunning()) {
+      return;
+    }
+
+    if (this._hasHiddenTasks()) {
+      this._hiddenInstance = this.frameDriver.requestTimer(
+        () => this._hiddenLoop(),
+        millisecondsPerFrame
+      );
+
+      this._syncHiddenWaiter();
 
-    this._currentInstance = null;
+      return;
+    }
 
-    waiter.endAsync(this._waiterToken);
+    this._endHidden();
   }
 
   /**
-   * Ember hook.
+   * Remove and return the next task to run while the page is hidden.
    *
+   * Reads run first, then writes, then the rest of tasks by priority.
    *
-   * @method willDestroy
+   * @method _nextHiddenTask
+   * @returns Task
    * @private
    */
-  // istanbul ignore next
-  willDestroy() {
-    super.willDestroy(...arguments);
+  _nextHiddenTask() {
+    const [readQueue, writeQueue, ...queues] = this._frameQueues;
+    let nextTask = readQueue.find(runsHidden) || writeQueue.find(runsHidden);
+
+    if (!nextTask) {
+      queues.forEach((queue) => {
+        const task = queue.find(runsHidden);
+
+        if (task && (!nextTask || precedes(task, nextTask))) {
+          nextTask = task;
+        }
+      });
+    }
 
-    if (this._currentInstance) {
-      this._end();
+    if (nextTask) {
+      nextTask.queue.remove((task) => task === nextTask);
     }
+
+    return nextTask;
   }
 
   /**
-   * Frame running loop. It tries to fit tasks in a given frame until frame takes too long.
+   * Idle running loop. It runs tasks while the browser is idle.
    *
-   * @method _loop
-   * @param {Float} startTime
+   * Tasks that have waited longer than their timeout run even when there is
+   * no idle time left.
+   *
+   * @method _idleLoop
+   * @param {IdleDeadline} deadline
    * @private
    */
-  _loop(startTime) {
+  _idleLoop(deadline) {
     // istanbul ignore if: lifecycle
     if (this.isDestroyed) {
       return;
     }
 
-    const millisecondsPerFrame = this.millisecondsPerFrame;
-    const tasks = this._tasks;
-    let target, method, args, stack;
+    const queue = this._idleQueue;
+    const idleInstance = this._idleInstance;
+    // Loop could be ended while running tasks (ie: paused or flushed).
+    const isRunning = () =>
+      !this.isDestroyed && this._idleInstance === idleInstance;
 
     assert(
-      'Could not run current loop. Service instance has no tasks.',
-      tasks.length !== 0
+      'Could not run current idle loop. Service instance has no idle tasks.',
+      queue.length !== 0
     );
 
+    this._dropExpired();
+
+    // Loop is ended when all tasks have expired.
+    if (!isRunning()) {
+      return;
+    }
+
+    let task;
+
     do {
-      [target, method, args, stack] = tasks.shift();
+      task = queue.shift();
 
-      this._exec(target, method, args, stack);
+      this._exec(task, this._now() + deadline.timeRemaining());
     } while (
-      !this.isDestroyed &&
-      tasks.length > 0 &&
-      performance.now() - startTime < millisecondsPerFrame
+      isRunning() &&
+      !task.isYield &&
+      queue.length > 0 &&
+      (deadline.timeRemaining() > 0 || isOverdue(queue.first, this._now()))
     );
 
-    // After exec, service could be destroyed. Recheck.
-    // istanbul ignore if: lifecycle
-    if (this.isDestroyed) {
+    // After exec, service could be destroyed or loop could be ended. Recheck.
+    if (!isRunning()) {
       return;
     }
 
-    if (tasks.length > 0) {
-      this._next();
-
-      return;
+    if (task.isYield) {
+      this._resumeYields(
+        () => queue.first,
+        this._now() + deadline.timeRemaining(),
+        () => Boolean(this._idleInstance)
+      );
     }
 
-    const currentInstance = this._currentInstance;
+    if (queue.length > 0) {
+      this._idleInstance = this._requestIdle();
 
-    if (currentInstance) {
-      this._end();
+      return;
     }
+
+    this._endIdle();
   }
 
   /**
-   * Execute function inside ember run loop.
+   * Execute task inside ember run loop.
+   *
+   * When the target of the task is being destroyed, the task is cancelled.
+   * When the deadline of the task has passed, the task is dropped.
+   * When the task is still running after the deadline, it is resumed later.
    *
    * @method _exec
-   * @param {Object} target
-   * @param {Function|String} method
-   * @param {Mixed} args
-   * @param {Error} stack
+   * @param {Task} task
+   * @param {Float} deadline
    * @private
    */
-  _exec(target, method, args, stack) {
+  _exec(task, deadline) {
+    const { stack } = task;
     const env = this.config.environment;
     const millisecondsPerFrame = this.millisecondsPerFrame;
-    const onError = this.onError;
-    let startTime;
 
-    /* istanbul ignore next */
-    if (env === 'development') {
-      startTime = performance.now();
+    if (destroyablesOf(task).some(isDestroying)) {
+      task.cancel();
+
+      return;
+    }
+
+    if (isExpired(task, this._now())) {
+      this._expire(task);
+
+      return;
+    }
+
+    const startTime = this._now();
+    let waitTime = null;
+
+    if (task.startedAt === null) {
+      task.startedAt = startTime;
+      waitTime = startTime - task.scheduledAt;
+    }
+
+    if (!task.isRunning) {
+      task.start();
+    }
+
+    const previousTask = this._currentTask;
+
+    // Tasks can be executed inside others (ie: `sync` SSR policy).
+    this._currentTask = task;
+
+    run(() =>
+      exec(
+        task,
+        (e) => this._fail(task, e),
+        deadline,
+        () => this._now()
+      )
+    );
+
+    this._currentTask = previousTask;
+
+    if (task.isRunning) {
+      if (isAsyncIterator(task.iterator)) {
+        this._await(task);
+      } else {
+        this._resume(task);
+      }
+    } else if (task.isPending && !this._waiting.has(task)) {
+      // Recurring task waits for its next frame. Retries are already waiting.
+      this._repeat(task);
     }
 
-    run(() => exec(target, method, args, onError, stack));
+    const diff = this._now() - startTime;
+
+    this._trackTask(task, diff, waitTime);
 
     /* istanbul ignore next */
     if (env === 'development') {
-      const diff = performance.now() - startTime;
-
       _logWarn(
         `Scheduled callback took too long (${diff} ms)`,
         stack,
@@ -450,22 +3025,153 @@ export default class SchedulerService extends Service {
     }
   }
 
+  /**
+   * Track a task run into the metrics and trigger a `task` event.
+   *
+   * @method _trackTask
+   * @param {Task} task
+   * @param {Float} duration
+   * @param {Float} waitTime Null when the task had already run.
+   * @private
+   */
+  _trackTask(task, duration, waitTime) {
+    this._frameTasks++;
+    this._stats.trackTask(duration, waitTime);
+
+    this.trigger('task', {
+      task,
+      id: task.id,
+      key: task.key,
+      queue: task.queue.name,
+      priority: task.priority,
+      state: task.state,
+      waitTime,
+      duration,
+    });
+  }
+
+  /**
+   * Track current frame into the metrics and trigger a `frame` event.
+   *
+   * @method _trackFrame
+   * @param {Float} startTime
+   * @param {Float} budget
+   * @private
+   */
+  _trackFrame(startTime, budget) {
+    const duration = this._now() - startTime;
+    const tasks = this._frameTasks;
+    const overBudget = duration > budget;
+
+    this._stats.trackFrame(tasks, overBudget);
+
+    this.trigger('frame', {
+      frame: this._frame,
+      tasks,
+      duration,
+      budget,
+      overBudget,
+      queueLength: this._countPendingTasks(),
+    });
+  }
+
+  /**
+   * Return the number of pending tasks, including the ones waiting for a
+   * frame, a dependency or an async value.
+   *
+   * @method _countPendingTasks
+   * @returns Number
+   * @private
+   */
+  _countPendingTasks() {
+    return (
+      [...this._frameQueues, this._idleQueue].reduce(
+        (length, queue) => length + queue.length,
+        0
+      ) +
+      this._delayed.size +
+      this._waiting.size +
+      this._blocked.size +
+      this._suspended.size
+    );
+  }
+
+  /**
+   * Return some methods of an object that run with the given options.
+   *
+   * @method _scope
+   * @param {Object} object Scheduler or task group.
+   * @param {Object} options
+   * @param {Array} methods
+   * @returns Object
+   * @private
+   */
+  _scope(object, options, methods) {
+    assert(
+      'Could not find valid options. They must be a plain object with known keys',
+      isOptions(options)
+    );
+
+    return Object.fromEntries(
+      methods.map((method) => [
+        method,
+        (...params) =>
+          this._withOptions(options, () => object[method](...params)),
+      ])
+    );
+  }
+
+  /**
+   * Run a function whose next scheduling call takes the given options.
+   *
+   * @method _withOptions
+   * @param {Object} options
+   * @param {Function} callback
+   * @returns Mixed
+   * @private
+   */
+  _withOptions(options, callback) {
+    this._options = options;
+
+    try {
+      return callback();
+    } finally {
+      this._options = null;
+    }
+  }
+
+  /**
+   * Return the options given with `withOptions`, if any, so they are only
+   * used by one scheduling call.
+   *
+   * @method _takeOptions
+   * @returns Object
+   * @private
+   */
+  _takeOptions() {
+    const options = this._options || {};
+
+    this._options = null;
+
+    return options;
+  }
+
   /**
    * Parse arguments and try to extract target, method and args.
    *
    * When first argument is a function ignore the rest and set target to null.
+   * Options default to the ones given with `withOptions`, if any.
    *
    * @method _sliceArguments
-   * @param {Object} target
-   * @param {Function|String} method
-   * @param {...Mixed} args
+   * @param {Array} params Target, method and args.
+   * @param {Object} [options]
    * @private
    */
-  _sliceArguments(target, method, ...args) {
+  _sliceArguments(params, options = this._takeOptions()) {
     const env = this.config.environment;
-    const length = arguments.length;
+    let [target, method, ...args] = params;
 
-    if (length === 1) {
+    if (params.length === 1) {
       method = target;
       target = null;
     }
@@ -481,7 +3187,35 @@ export default class SchedulerService extends Service {
       'Could not find a valid method to call',
       method && typeof method === 'function'
     );
+    assert(
+      `Could not find a valid priority: ${options.priority}`,
+      !options.priority || PRIORITIES.includes(options.priority)
+    );
+    assert(
+      `Could not find a valid merge strategy: ${options.merge}`,
+      !options.merge ||
+        [FIRST, LAST].includes(options.merge) ||
+        typeof options.merge === 'function'
+    );
+    assert(
+      `Could not find a valid hidden policy: ${options.hidden}`,
+      !options.hidden || HIDDEN_POLICIES.includes(options.hidden)
+    );
+    assert(
+      `Could not find a valid SSR policy: ${options.ssr}`,
+      !options.ssr || SSR_POLICIES.includes(options.ssr)
+    );
+    assert(
+      'Could not schedule a task. retries must be a non-negative integer',
+      options.retries === undefined ||
+        (Number.isInteger(options.retries) && options.retries >= 0)
+    );
+    assert(
+      'Could not schedule a task. backoff must be a positive integer',
+      options.backoff === undefined ||
+        (Number.isInteger(options.backoff) && options.backoff > 0)
+    );
 
-    return [target, method, args, stack];
+    return [target, method, args, stack, options];
   }
 }
@@ -41,6 +41,14 @@ module.exports = function (environment) {
 
     ENV.APP.rootElement = '#ember-testing';
     ENV.APP.autoboot = false;
+
+    ENV.taskScheduler = {
+      queues: {
+        charts: { FPS: 30, concurrency: 1 },
+        analytics: { priority: 'background' },
+        realtime: { hidden: 'drop' },
+      },
+    };
   }
 
   if (environment === 'production') {
@@ -1,9 +1,90 @@
 /* eslint no-magic-numbers:0 */
-import { scheduleOnce } from '@ember/runloop';
+import { run, scheduleOnce } from '@ember/runloop';
+import { destroy } from '@ember/destroyable';
 import { module, test } from 'qunit';
 import { setupTest } from 'ember-qunit';
 import { settled, waitUntil } from '@ember/test-helpers';
 import sinon from 'sinon';
+import {
+  Task,
+  RecurringTask,
+  TaskGroup,
+  TaskCancelledError,
+  TaskExpiredError,
+  isTaskCancelledError,
+  FrameDriver,
+  ManualFrameDriver,
+} from 'ember-task-scheduler';
+import {
+  setupScheduler,
+  advanceTime,
+  advanceFrames,
+  runNextFrame,
+} from 'ember-task-scheduler/test-support';
+import FrameMeter from 'ember-task-scheduler/-private/frame-meter';
+
+function setVisibility(visibilityState) {
+  if (visibilityState === 'visible') {
+    delete document.visibilityState;
+  } else {
+    Object.defineProperty(document, 'visibilityState', {
+      configurable: true,
+      get: () => visibilityState,
+    });
+  }
+
+  document.dispatchEvent(new Event('visibilitychange'));
+}
+
+function setupFastBoot(owner) {
+  const promises = [];
+
+  owner.register(
+    'service:fastboot',
+    { isFastBoot: true, deferRendering: (promise) => promises.push(promise) },
+    { instantiate: false }
+  );
+
+  return promises;
+}
+
+function stubPostTask() {
+  const { scheduler, TaskController } = window;
+  const calls = [];
+
+  window.TaskController = class {
+    constructor({ priority }) {
+      this.signal = { priority, aborted: false };
+    }
+
+    abort() {
+      calls.push(['abort']);
+      this.signal.aborted = true;
+    }
+
+    setPriority(priority) {
+      calls.push(['setPriority', priority]);
+      this.signal.priority = priority;
+    }
+  };
+  window.scheduler = {
+    postTask(callback, { signal }) {
+      calls.push(['postTask', signal.priority]);
+
+      return new Promise((resolve, reject) =>
+        setTimeout(() => (signal.aborted ? reject() : resolve(callback())))
+      );
+    },
+  };
+
+  return {
+    calls,
+    restore() {
+      window.scheduler = scheduler;
+      window.TaskController = TaskController;
+    },
+  };
+}
 
 module('Unit | Service | scheduler', (hooks) => {
   setupTest(hooks);
@@ -30,6 +111,33 @@ module('Unit | Service | scheduler', (hooks) => {
     assert.equal(this.service.millisecondsPerFrame, (1 / 30) * 1000);
   });
 
+  test('it uses milliseconds per frame as frame budget', function (assert) {
+    this.service.FPS = 30;
+
+    assert.equal(this.service.frameBudget, (1 / 30) * 1000);
+  });
+
+  test('it computes an adaptive frame budget', function (assert) {
+    const frameMeter = new FrameMeter({ min: 2, max: 10, headroom: 2 });
+
+    this.service._frameMeter = frameMeter;
+
+    assert.equal(this.service.frameBudget, 10, 'budget is capped to max');
+
+    frameMeter.measure(0, 1);
+    frameMeter.measure(8, 9);
+
+    assert.equal(frameMeter.interval, 8, 'frame interval is measured');
+    assert.equal(frameMeter.browserTime, 1, 'browser time is measured');
+    assert.equal(this.service.frameBudget, 5, 'budget fits in the frame');
+
+    frameMeter.reset();
+    frameMeter.measure(1000, 1020);
+
+    assert.equal(frameMeter.interval, 8, 'frames after a reset are ignored');
+    assert.equal(this.service.frameBudget, 2, 'budget is at least min');
+  });
+
   test('it starts without tasks', function (assert) {
     assert.notOk(
       this.service.hasPendingTasks(),
@@ -134,30 +242,6 @@ module('Unit | Service | scheduler', (hooks) => {
     await waitUntil(() => !this.service.hasPendingTasks());
   });
 
-  test('it schedules heavy tasks on several frames', async function (assert) {
-    assert.expect(1);
-
-    let currentInstance;
-    const func = () => {
-      currentInstance = this.service._currentInstance;
-      Array(10000000).fill(0); // eslint-disable-line no-magic-numbers
-    };
-    const func2 = () => {
-      assert.notEqual(
-        this.service._currentInstance,
-        currentInstance,
-        'function executes on next frame'
-      );
-    };
-
-    this.service.FPS = 120; // configure scheduler to prevent slow computing fail.
-
-    this.service.schedule(func);
-    this.service.schedule(func2);
-
-    await waitUntil(() => !this.service.hasPendingTasks());
-  });
-
   test('it continues executing next task when first fails', async function (assert) {
     assert.expect(1);
 
@@ -297,15 +381,2551 @@ module('Unit | Service | scheduler', (hooks) => {
     assert.ok(func2.calledOnce, 'func2 is called once with arguments');
   });
 
-  test('it waits for settled', async function (assert) {
-    const func = sinon.mock().thrice();
+  test('it returns a task handle', async function (assert) {
+    const task = this.service.schedule(() => {});
 
-    this.service.schedule(func);
-    this.service.schedule(func);
-    this.service.schedule(func);
+    assert.ok(task instanceof Task, 'handle is a task');
+    assert.equal(task.state, 'pending', 'task is pending');
+    assert.ok(task.isPending, 'task is pending');
+
+    await waitUntil(() => !this.service.hasPendingTasks());
+
+    assert.equal(task.state, 'done', 'task is done');
+    assert.ok(task.isDone, 'task is done');
+    assert.ok(task.isFinished, 'task is finished');
+  });
+
+  test('it returns different handles for different tasks', function (assert) {
+    const func = () => {};
+    const task1 = this.service.schedule(func);
+    const task2 = this.service.schedule(func);
+
+    assert.notEqual(task1, task2, 'handles are different');
+    assert.notEqual(task1.id, task2.id, 'ids are different');
+  });
+
+  test('it marks a task as running while it is executed', async function (assert) {
+    let state;
+    const task = this.service.schedule(() => {
+      state = task.state;
+    });
+
+    await waitUntil(() => !this.service.hasPendingTasks());
+
+    assert.equal(state, 'running', 'task is running');
+  });
+
+  test('it marks a task as failed when it throws', async function (assert) {
+    this.service.onError = null;
+
+    const task = this.service.schedule(() => {
+      throw new Error();
+    });
+
+    await waitUntil(() => !this.service.hasPendingTasks());
+
+    assert.equal(task.state, 'failed', 'task is failed');
+    assert.ok(task.isFailed, 'task is failed');
+  });
+
+  test('it returns the same handle when a task is scheduled once', function (assert) {
+    const context = { func() {} };
+    const task1 = this.service.scheduleOnce(context, 'func', 'foo');
+    const task2 = this.service.scheduleOnce(context, 'func', 'bar');
+
+    assert.equal(task1, task2, 'handles are equal');
+    assert.deepEqual(task1.args, ['bar'], 'args are replaced');
+  });
+
+  test('it cancels a pending task by handle', async function (assert) {
+    const func = sinon.mock().never();
+    const task = this.service.schedule(() => func());
+
+    const removedTasks = this.service.cancel(task);
+
+    await waitUntil(() => !this.service.hasPendingTasks());
+
+    assert.deepEqual(removedTasks, [task], 'handle is returned');
+    assert.equal(task.state, 'cancelled', 'task is cancelled');
+    assert.ok(task.isCancelled, 'task is cancelled');
+    assert.ok(func.verify(), 'func is never called');
+  });
+
+  test('it cannot cancel a finished task by handle', async function (assert) {
+    const task = this.service.schedule(() => {});
+
+    await waitUntil(() => !this.service.hasPendingTasks());
+
+    assert.deepEqual(this.service.cancel(task), [], 'nothing is cancelled');
+    assert.equal(task.state, 'done', 'task is done');
+  });
+
+  test('it returns a flat list of cancelled tasks', function (assert) {
+    const func = () => {};
+    const task1 = this.service.schedule(func);
+    const task2 = this.service.schedule(() => {});
+    const task3 = this.service.schedule(func);
+
+    assert.deepEqual(
+      this.service.cancel(func),
+      [task1, task3],
+      'cancelled tasks are returned'
+    );
+    assert.ok(task2.isPending, 'task is still pending');
+  });
+
+  test('it schedules tasks with default priority', function (assert) {
+    const task = this.service.schedule(() => {});
+
+    assert.equal(task.priority, 'user-visible', 'priority is user-visible');
+  });
+
+  test('it runs higher priority tasks first', async function (assert) {
+    const calls = [];
+
+    this.service.FPS = 15; // configure scheduler to prevent slow computing fail.
+
+    this.service
+      .withOptions({ priority: 'background' })
+      .schedule(() => calls.push('background'));
+    this.service.schedule(() => calls.push('user-visible'));
+    this.service
+      .withOptions({ priority: 'user-blocking' })
+      .schedule(() => calls.push('user-blocking'));
+
+    await waitUntil(() => !this.service.hasPendingTasks());
+
+    assert.deepEqual(
+      calls,
+      ['user-blocking', 'user-visible', 'background'],
+      'tasks run by priority'
+    );
+  });
+
+  test('it keeps FIFO order inside the same priority', async function (assert) {
+    const calls = [];
+
+    this.service
+      .withOptions({ priority: 'background' })
+      .schedule(() => calls.push(1));
+    this.service
+      .withOptions({ priority: 'user-blocking' })
+      .schedule(() => calls.push(2));
+    this.service
+      .withOptions({ priority: 'background' })
+      .schedule(() => calls.push(3));
+    this.service
+      .withOptions({ priority: 'user-blocking' })
+      .schedule(() => calls.push(4));
+
+    await waitUntil(() => !this.service.hasPendingTasks());
+
+    assert.deepEqual(calls, [2, 4, 1, 3], 'tasks run in order');
+  });
+
+  test('it runs a higher priority task scheduled inside another task next', async function (assert) {
+    const calls = [];
+
+    this.service.schedule(() => {
+      calls.push(1);
+      this.service
+        .withOptions({ priority: 'user-blocking' })
+        .schedule(() => calls.push(3));
+    });
+    this.service.schedule(() => calls.push(2));
+
+    await waitUntil(() => !this.service.hasPendingTasks());
+
+    assert.deepEqual(calls, [1, 3, 2], 'urgent task runs next');
+  });
+
+  test('it schedules a task with options, target and method', async function (assert) {
+    const func = sinon.mock().once().withArgs('foo');
+    const context = { func };
+
+    func.on(context);
+
+    const task = this.service
+      .withOptions({ priority: 'background' })
+      .schedule(context, 'func', 'foo');
+
+    await waitUntil(() => !this.service.hasPendingTasks());
+
+    assert.equal(task.priority, 'background', 'priority is set');
+    assert.ok(func.verify(), 'func is called on context with arguments');
+  });
+
+  test('it does not confuse a plain target with options', async function (assert) {
+    const func = sinon.mock().once();
+    const context = { priority: 'background', func };
+
+    func.on(context);
+
+    const task = this.service.schedule(context, 'func');
+
+    await waitUntil(() => !this.service.hasPendingTasks());
+
+    assert.equal(task.priority, 'user-visible', 'priority is default');
+    assert.ok(func.verify(), 'func is called on context');
+  });
+
+  test('it does not confuse a plain target with a method function with options', async function (assert) {
+    const empty = {};
+    const keyed = { key: 'a' };
+    const calls = [];
+
+    this.service.schedule(empty, function () {
+      calls.push(this);
+    });
+    this.service.schedule(
+      keyed,
+      function (value) {
+        calls.push(this, value);
+      },
+      1
+    );
 
     await settled();
 
-    assert.ok(func.verify(), 'func is called with arguments');
+    assert.deepEqual(calls, [empty, keyed, 1], 'functions run on targets');
+  });
+
+  test('it runs the methods of withOptions once with the options', async function (assert) {
+    const calls = [];
+    const scoped = this.service.withOptions({ priority: 'background' });
+
+    const task = scoped.schedule(() => calls.push('background'));
+    const other = this.service.schedule(() => calls.push('default'));
+
+    await settled();
+
+    assert.equal(task.priority, 'background', 'options are used');
+    assert.equal(other.priority, 'user-visible', 'options are not kept');
+    assert.deepEqual(calls, ['default', 'background'], 'tasks run by priority');
+  });
+
+  test('it throws an error with unknown options', function (assert) {
+    assert.throws(() => {
+      this.service.withOptions({ foo: 'bar' });
+    }, /Could not find valid options/);
+  });
+
+  test('it throws an error with an unknown priority', function (assert) {
+    assert.throws(() => {
+      this.service.withOptions({ priority: 'foo' }).schedule(() => {});
+    }, 'error is thrown when priority is unknown');
+  });
+
+  test('it resolves an async task with its returned value', async function (assert) {
+    const context = {
+      func(value) {
+        return value * 2;
+      },
+    };
+
+    const value = await this.service.scheduleAsync(context, 'func', 21);
+
+    assert.equal(value, 42, 'promise is resolved with value');
+  });
+
+  test('it rejects an async task with its error', async function (assert) {
+    const error = new Error();
+    const onError = sinon.mock().never();
+
+    this.service.onError = onError;
+
+    await assert.rejects(
+      this.service.scheduleAsync(() => {
+        throw error;
+      }),
+      (e) => e === error,
+      'promise is rejected with error'
+    );
+    assert.ok(onError.verify(), 'onError is not called');
+  });
+
+  test('it rejects a cancelled async task with a cancellation error', async function (assert) {
+    const func = () => {};
+    const promise = this.service.scheduleAsync(func);
+
+    this.service.cancel(func);
+
+    await assert.rejects(
+      promise,
+      (e) => e instanceof TaskCancelledError && isTaskCancelledError(e),
+      'promise is rejected with cancellation'
+    );
+  });
+
+  test('it cancels an async task by promise', async function (assert) {
+    const func = sinon.mock().never();
+    const promise = this.service.scheduleAsync(() => func());
+
+    const [task] = this.service.cancel(promise);
+
+    await assert.rejects(promise, TaskCancelledError, 'promise is rejected');
+    assert.ok(task.isCancelled, 'task is cancelled');
+    assert.ok(func.verify(), 'func is never called');
+  });
+
+  test('it does not recognize other errors as cancellations', function (assert) {
+    assert.notOk(
+      isTaskCancelledError(new Error()),
+      'error is not cancellation'
+    );
+  });
+
+  test('it cancels tasks when signal is aborted', async function (assert) {
+    const func = sinon.mock().never();
+    const controller = new AbortController();
+    const { signal } = controller;
+
+    const task1 = this.service.withOptions({ signal }).schedule(() => func());
+    const task2 = this.service
+      .withOptions({ signal })
+      .scheduleOnce(() => func());
+
+    controller.abort();
+
+    assert.ok(task1.isCancelled, 'first task is cancelled');
+    assert.ok(task2.isCancelled, 'second task is cancelled');
+    assert.notOk(this.service.hasPendingTasks(), 'service has no tasks');
+    assert.notOk(this.service._currentInstance, 'frame loop is ended');
+
+    await settled();
+
+    assert.ok(func.verify(), 'func is never called');
+  });
+
+  test('it does not schedule a task with an aborted signal', function (assert) {
+    const controller = new AbortController();
+
+    controller.abort();
+
+    const task = this.service
+      .withOptions({ signal: controller.signal })
+      .schedule(() => {});
+
+    assert.ok(task.isCancelled, 'task is cancelled');
+    assert.notOk(this.service.hasPendingTasks(), 'service has no tasks');
+  });
+
+  test('it rejects an async task when signal is aborted', async function (assert) {
+    const controller = new AbortController();
+    const promise = this.service
+      .withOptions({ signal: controller.signal })
+      .scheduleAsync(() => {});
+
+    controller.abort();
+
+    await assert.rejects(promise, TaskCancelledError, 'promise is rejected');
+  });
+
+  test('it ignores signal once the task has finished', async function (assert) {
+    const controller = new AbortController();
+    const task = this.service
+      .withOptions({ signal: controller.signal })
+      .schedule(() => {});
+
+    await waitUntil(() => !this.service.hasPendingTasks());
+
+    controller.abort();
+
+    assert.ok(task.isDone, 'task is done');
+  });
+
+  test('it cancels tasks when target is destroyed', async function (assert) {
+    const func = sinon.mock().never();
+    const context = { func };
+
+    const task = this.service.schedule(context, 'func');
+
+    destroy(context);
+
+    await settled();
+
+    assert.ok(task.isCancelled, 'task is cancelled');
+    assert.ok(func.verify(), 'func is never called');
+  });
+
+  test('it cancels tasks when destroyable is destroyed', async function (assert) {
+    const func = sinon.mock().never();
+    const destroyable = {};
+
+    const task = this.service
+      .withOptions({ destroyable })
+      .schedule(() => func());
+
+    destroy(destroyable);
+
+    await settled();
+
+    assert.ok(task.isCancelled, 'task is cancelled');
+    assert.ok(func.verify(), 'func is never called');
+  });
+
+  test('it does not schedule a task on a destroyed target', async function (assert) {
+    const context = { func() {} };
+
+    destroy(context);
+
+    await settled();
+
+    const task = this.service.schedule(context, 'func');
+
+    assert.ok(task.isCancelled, 'task is cancelled');
+    assert.notOk(this.service.hasPendingTasks(), 'service has no tasks');
+  });
+
+  test('it does not run a task whose target is being destroyed', async function (assert) {
+    const func = sinon.mock().never();
+    const context = { func };
+
+    const task = this.service.schedule(context, 'func');
+
+    run(() => {
+      destroy(context);
+
+      // Destructors are not run until the end of the run loop.
+      this.service._loop(performance.now());
+    });
+
+    await settled();
+
+    assert.ok(task.isCancelled, 'task is cancelled');
+    assert.ok(func.verify(), 'func is never called');
+  });
+
+  test('it can destroy a target once its task has finished', async function (assert) {
+    const context = { func() {} };
+
+    const task = this.service.schedule(context, 'func');
+
+    await waitUntil(() => !this.service.hasPendingTasks());
+
+    destroy(context);
+
+    await settled();
+
+    assert.ok(task.isDone, 'task is done');
+  });
+
+  test('it fails a generator task when it throws', async function (assert) {
+    const error = new Error();
+    const onError = sinon.mock().once().withArgs(error);
+
+    this.service.onError = onError;
+
+    const task = this.service.schedule(function* () {
+      yield;
+
+      throw error;
+    });
+
+    await waitUntil(() => !this.service.hasPendingTasks());
+
+    assert.ok(task.isFailed, 'task is failed');
+    assert.ok(onError.verify(), 'onError is called');
+  });
+
+  test('it resumes async iterator tasks', async function (assert) {
+    const values = [];
+
+    const value = await this.service.scheduleAsync(async function* () {
+      for (let i = 0; i < 3; i++) {
+        values.push(await Promise.resolve(i));
+
+        yield;
+      }
+
+      return 'foo';
+    });
+
+    assert.equal(value, 'foo', 'iterator returned value is resolved');
+    assert.deepEqual(values, [0, 1, 2], 'iterator is resumed');
+  });
+
+  test('it cancels a suspended async iterator task', async function (assert) {
+    let resolve;
+    const promise = new Promise((r) => (resolve = r));
+    const func = sinon.mock().never();
+
+    const task = this.service.schedule(async function* () {
+      await promise;
+
+      yield;
+
+      func();
+    });
+
+    await waitUntil(() => task.isRunning);
+
+    assert.ok(this.service.hasPendingTasks(), 'task is pending');
+    assert.deepEqual(this.service.cancel(task), [task], 'task is cancelled');
+
+    resolve();
+
+    await settled();
+
+    assert.ok(task.isCancelled, 'task is cancelled');
+    assert.ok(func.verify(), 'func is never called');
+  });
+
+  test('it fails an async iterator task when it rejects', async function (assert) {
+    const error = new Error();
+
+    await assert.rejects(
+      this.service.scheduleAsync(async function* () {
+        yield;
+
+        throw error;
+      }),
+      (e) => e === error,
+      'promise is rejected with error'
+    );
+  });
+
+  test('it schedules an idle task', async function (assert) {
+    const func = sinon.mock().once().withArgs('foo');
+    const context = { func };
+
+    func.on(context);
+
+    const task = this.service.scheduleIdle(context, 'func', 'foo');
+
+    assert.ok(this.service.hasPendingTasks(), 'service has pending tasks');
+
+    await settled();
+
+    assert.ok(task.isDone, 'task is done');
+    assert.ok(func.verify(), 'func is called on context with arguments');
+  });
+
+  test('it runs idle tasks by priority', async function (assert) {
+    const calls = [];
+
+    this.service
+      .withOptions({ priority: 'background' })
+      .scheduleIdle(() => calls.push('background'));
+    this.service
+      .withOptions({ priority: 'user-blocking' })
+      .scheduleIdle(() => calls.push('user-blocking'));
+
+    await settled();
+
+    assert.deepEqual(
+      calls,
+      ['user-blocking', 'background'],
+      'tasks run by priority'
+    );
+  });
+
+  test('it schedules an idle task with timeout', async function (assert) {
+    const func = sinon.mock().twice();
+
+    this.service.scheduleIdle(() => func());
+    this.service.withOptions({ timeout: 0 }).scheduleIdle(() => func());
+
+    await settled();
+
+    assert.ok(func.verify(), 'func is called');
+  });
+
+  test('it runs overdue idle tasks without idle time', function (assert) {
+    const func = sinon.mock().twice();
+
+    this.service.withOptions({ timeout: 0 }).scheduleIdle(() => func());
+    this.service.withOptions({ timeout: 0 }).scheduleIdle(() => func());
+
+    this.service._idleLoop({ didTimeout: true, timeRemaining: () => 0 });
+
+    assert.ok(func.verify(), 'func is called');
+    assert.notOk(this.service.hasPendingTasks(), 'service has no tasks');
+  });
+
+  test('it cancels an idle task', async function (assert) {
+    const func = sinon.mock().never();
+    const task = this.service.scheduleIdle(() => func());
+
+    assert.deepEqual(this.service.cancel(task), [task], 'task is cancelled');
+    assert.notOk(this.service._idleInstance, 'idle loop is ended');
+
+    await settled();
+
+    assert.ok(func.verify(), 'func is never called');
+  });
+
+  test('it resumes idle generator tasks', async function (assert) {
+    const calls = [];
+
+    const task = this.service.scheduleIdle(function* () {
+      calls.push(1);
+
+      yield;
+
+      calls.push(2);
+    });
+
+    await settled();
+
+    assert.ok(task.isDone, 'task is done');
+    assert.deepEqual(calls, [1, 2], 'generator is resumed');
+  });
+
+  test('it runs reads before writes on the same frame', async function (assert) {
+    const calls = [];
+    const frames = new Set();
+    const track = (name) => () => {
+      calls.push(name);
+      frames.add(this.service._currentInstance);
+    };
+
+    this.service.schedule(track('task'));
+    this.service.scheduleWrite(track('write'));
+    this.service.scheduleRead(track('read'));
+
+    await waitUntil(() => !this.service.hasPendingTasks());
+
+    assert.deepEqual(calls, ['read', 'write', 'task'], 'reads run first');
+    assert.equal(frames.size, 1, 'tasks run on same frame');
+  });
+
+  test('it runs writes scheduled from reads on the same frame', async function (assert) {
+    let readFrame, writeFrame;
+
+    this.service.scheduleRead(() => {
+      readFrame = this.service._currentInstance;
+
+      this.service.scheduleWrite(() => {
+        writeFrame = this.service._currentInstance;
+      });
+    });
+
+    await waitUntil(() => !this.service.hasPendingTasks());
+
+    assert.equal(writeFrame, readFrame, 'write runs on same frame');
+  });
+
+  test('it runs reads scheduled from writes on next frame', async function (assert) {
+    let readFrame, writeFrame;
+
+    this.service.scheduleWrite(() => {
+      writeFrame = this.service._currentInstance;
+
+      this.service.scheduleRead(() => {
+        readFrame = this.service._currentInstance;
+      });
+    });
+
+    await waitUntil(() => !this.service.hasPendingTasks());
+
+    assert.notEqual(readFrame, writeFrame, 'read runs on next frame');
+  });
+
+  test('it cancels reads and writes', async function (assert) {
+    const func = sinon.mock().never();
+    const read = this.service.scheduleRead(() => func());
+    const write = this.service.scheduleWrite(() => func());
+
+    this.service.cancel(read);
+    this.service.cancel(write);
+
+    assert.notOk(this.service._currentInstance, 'frame loop is ended');
+
+    await settled();
+
+    assert.ok(func.verify(), 'func is never called');
+  });
+
+  test('it schedules a task into a named queue', async function (assert) {
+    const func = sinon.mock().once();
+
+    const task = this.service
+      .withOptions({ queue: 'analytics' })
+      .schedule(() => func());
+
+    assert.ok(this.service.hasPendingTasks('analytics'), 'queue has tasks');
+    assert.notOk(this.service.hasPendingTasks('charts'), 'queue has no tasks');
+    assert.equal(task.priority, 'background', 'queue priority is used');
+
+    await waitUntil(() => !this.service.hasPendingTasks());
+
+    assert.ok(func.verify(), 'func is called');
+  });
+
+  test('it overrides the priority of a named queue', function (assert) {
+    const task = this.service
+      .withOptions({ queue: 'analytics', priority: 'user-blocking' })
+      .schedule(() => {});
+
+    assert.equal(task.priority, 'user-blocking', 'task priority is used');
+  });
+
+  test('it runs named queues with their concurrency and FPS', async function (assert) {
+    assert.expect(3);
+
+    const times = [];
+    const frames = [];
+
+    for (let i = 0; i < 3; i++) {
+      this.service.withOptions({ queue: 'charts' }).schedule(() => {
+        times.push(performance.now());
+        frames.push(this.service._currentInstance);
+      });
+    }
+
+    await waitUntil(() => !this.service.hasPendingTasks());
+
+    assert.equal(new Set(frames).size, 3, 'one task runs on each frame');
+
+    for (let i = 1; i < times.length; i++) {
+      assert.ok(times[i] - times[i - 1] >= 1000 / 30 - 1, 'queue is paced');
+    }
+  });
+
+  test('it runs tasks of several queues by priority', async function (assert) {
+    const calls = [];
+
+    this.service
+      .withOptions({ queue: 'analytics' })
+      .schedule(() => calls.push('analytics'));
+    this.service
+      .withOptions({ queue: 'charts' })
+      .schedule(() => calls.push('charts'));
+    this.service.schedule(() => calls.push('default'));
+
+    await waitUntil(() => !this.service.hasPendingTasks());
+
+    assert.deepEqual(
+      calls,
+      ['charts', 'default', 'analytics'],
+      'tasks run by priority and order'
+    );
+  });
+
+  test('it cancels tasks of a named queue', async function (assert) {
+    const func = sinon.mock().once();
+    const func2 = sinon.mock().never();
+
+    this.service.schedule(func);
+    this.service.withOptions({ queue: 'charts' }).schedule(func);
+    this.service.withOptions({ queue: 'analytics' }).schedule(func2);
+
+    const removedTasks = this.service
+      .withOptions({ queue: 'charts' })
+      .cancel(func);
+
+    assert.equal(removedTasks.length, 1, 'task of queue is cancelled');
+
+    this.service.withOptions({ queue: 'analytics' }).cancel();
+
+    assert.notOk(this.service.hasPendingTasks('analytics'), 'queue is empty');
+
+    await waitUntil(() => !this.service.hasPendingTasks());
+
+    assert.ok(func.verify(), 'func is called once');
+    assert.ok(func2.verify(), 'func2 is never called');
+  });
+
+  test('it throws an error with an unknown queue', function (assert) {
+    assert.throws(() => {
+      this.service.withOptions({ queue: 'foo' }).schedule(() => {});
+    }, 'error is thrown when queue is unknown');
+
+    assert.throws(() => {
+      this.service.hasPendingTasks('foo');
+    }, 'error is thrown when queue is unknown');
+  });
+
+  test('it throws an error when cancelling without target nor options', function (assert) {
+    assert.throws(() => {
+      this.service.withOptions({}).cancel();
+    }, 'error is thrown without target nor options');
+  });
+
+  test('it does not take arguments of cancel as options', function (assert) {
+    const task = this.service
+      .withOptions({ queue: 'charts' })
+      .schedule(() => {});
+
+    assert.throws(() => {
+      this.service.cancel({ queue: 'charts' });
+    }, /Could not find a valid method to call/);
+    assert.ok(task.isPending, 'task is kept');
+
+    this.service.cancel(task);
+  });
+
+  test('it pauses and resumes the scheduler', async function (assert) {
+    const func = sinon.spy();
+
+    this.service.schedule(() => func());
+    this.service.scheduleIdle(() => func());
+
+    this.service.pause();
+
+    assert.ok(this.service.isPaused, 'scheduler is paused');
+    assert.notOk(this.service._currentInstance, 'frame loop is ended');
+    assert.notOk(this.service._idleInstance, 'idle loop is ended');
+
+    this.service.schedule(() => func());
+
+    await settled();
+
+    assert.ok(func.notCalled, 'func is not called');
+    assert.ok(this.service.hasPendingTasks(), 'tasks are kept');
+
+    this.service.resume();
+
+    assert.notOk(this.service.isPaused, 'scheduler is resumed');
+
+    await settled();
+
+    assert.ok(func.calledThrice, 'func is called');
+  });
+
+  test('it pauses the scheduler from a task', async function (assert) {
+    const func = sinon.mock().never();
+
+    this.service.schedule(() => this.service.pause());
+    this.service.schedule(() => func());
+
+    await waitUntil(() => this.service.isPaused);
+    await settled();
+
+    assert.ok(func.verify(), 'func is never called');
+
+    this.service.resume();
+  });
+
+  test('it flushes all pending tasks', function (assert) {
+    const calls = [];
+
+    this.service.scheduleIdle(() => calls.push('idle'));
+    this.service
+      .withOptions({ priority: 'background' })
+      .schedule(() => calls.push('background'));
+    this.service
+      .withOptions({ queue: 'charts' })
+      .schedule(() => calls.push('charts'));
+    this.service
+      .withOptions({ queue: 'charts' })
+      .schedule(() => calls.push('charts'));
+    this.service.scheduleWrite(() => calls.push('write'));
+    this.service.scheduleRead(() => {
+      calls.push('read');
+      this.service.schedule(() => calls.push('nested'));
+    });
+    this.service.schedule(function* () {
+      calls.push('generator');
+
+      yield;
+
+      calls.push('generator');
+    });
+
+    this.service.flush();
+
+    assert.deepEqual(
+      calls,
+      [
+        'read',
+        'write',
+        'charts',
+        'charts',
+        'generator',
+        'generator',
+        'nested',
+        'background',
+        'idle',
+      ],
+      'tasks are run'
+    );
+    assert.notOk(this.service.hasPendingTasks(), 'service has no tasks');
+    assert.notOk(this.service._currentInstance, 'frame loop is ended');
+    assert.notOk(this.service._idleInstance, 'idle loop is ended');
+  });
+
+  test('it flushes while paused', function (assert) {
+    const func = sinon.mock().once();
+
+    this.service.pause();
+    this.service.schedule(() => func());
+    this.service.flush();
+    this.service.resume();
+
+    assert.ok(func.verify(), 'func is called');
+  });
+
+  test('it flushes from a task', async function (assert) {
+    const calls = [];
+
+    this.service.schedule(() => {
+      this.service.flush();
+      this.service.schedule(() => calls.push('after'));
+    });
+    this.service.schedule(() => calls.push('flushed'));
+
+    await waitUntil(() => !this.service.hasPendingTasks());
+
+    assert.deepEqual(calls, ['flushed', 'after'], 'tasks are run');
+  });
+
+  test('it stops the frame loop while the page is hidden', async function (assert) {
+    const func = sinon.spy();
+
+    setVisibility('hidden');
+
+    this.service.schedule(() => func());
+
+    assert.notOk(this.service._currentInstance, 'frame loop is not begun');
+
+    await settled();
+
+    assert.ok(func.notCalled, 'func is not called');
+    assert.ok(this.service.hasPendingTasks(), 'tasks are kept');
+
+    setVisibility('visible');
+
+    assert.ok(this.service._currentInstance, 'frame loop is begun');
+
+    await settled();
+
+    assert.ok(func.calledOnce, 'func is called');
+  });
+
+  test('it runs timer tasks while the page is hidden', async function (assert) {
+    const calls = [];
+
+    setVisibility('hidden');
+
+    const task = this.service.schedule(() => calls.push('wait'));
+
+    this.service.withOptions({ hidden: 'timer' }).schedule(function* () {
+      calls.push('timer');
+
+      yield;
+
+      calls.push('timer');
+    });
+
+    await settled();
+
+    assert.deepEqual(calls, ['timer', 'timer'], 'timer task is run');
+    assert.ok(task.isPending, 'task keeps waiting');
+
+    setVisibility('visible');
+
+    await settled();
+
+    assert.deepEqual(calls, ['timer', 'timer', 'wait'], 'task is run');
+  });
+
+  test('it does not wait for recurring timer tasks while the page is hidden', async function (assert) {
+    let runs = 0;
+
+    setVisibility('hidden');
+
+    const task = this.service
+      .withOptions({ hidden: 'timer' })
+      .scheduleRecurring(() => runs++);
+
+    await waitUntil(() => runs === 2);
+    await settled();
+
+    assert.ok(this.service._hiddenInstance, 'hidden loop keeps running');
+
+    this.service.cancel(task);
+    setVisibility('visible');
+
+    assert.notOk(this.service._hiddenInstance, 'hidden loop is ended');
+  });
+
+  test('it runs the hidden loop on timers of the frame driver', async function (assert) {
+    const func = sinon.spy();
+
+    this.service.setFrameDriver('manual');
+    setVisibility('hidden');
+
+    this.service.withOptions({ hidden: 'timer' }).schedule(() => func());
+
+    await settled();
+
+    assert.ok(func.notCalled, 'settled does not wait for manual timers');
+
+    this.service.frameDriver.runFrame();
+
+    assert.ok(func.calledOnce, 'func is called on manual frame');
+
+    setVisibility('visible');
+  });
+
+  test('it drops stale tasks when the page is visible again', async function (assert) {
+    const func = sinon.spy();
+
+    setVisibility('hidden');
+
+    const stale = this.service
+      .withOptions({ hidden: 'drop' })
+      .schedule(() => func());
+    const fresh = this.service
+      .withOptions({ hidden: 'drop', staleAfter: 60000 })
+      .schedule(() => func());
+    const promise = this.service
+      .withOptions({ queue: 'realtime' })
+      .scheduleAsync(() => func());
+
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    setVisibility('visible');
+
+    assert.ok(stale.isCancelled, 'stale task is cancelled');
+    assert.ok(fresh.isPending, 'fresh task is kept');
+
+    await assert.rejects(promise, TaskCancelledError, 'queue task is dropped');
+    await settled();
+
+    assert.ok(func.calledOnce, 'fresh task is run');
+  });
+
+  test('it throws an error with an unknown hidden policy', function (assert) {
+    assert.throws(() => {
+      this.service.withOptions({ hidden: 'foo' }).schedule(() => {});
+    }, /Could not find a valid hidden policy: foo/);
+  });
+
+  test('it runs tasks before their deadline', async function (assert) {
+    const task = this.service
+      .withOptions({ deadline: 60000 })
+      .schedule(() => {});
+
+    await settled();
+
+    assert.ok(task.isDone, 'task is done');
+  });
+
+  test('it drops expired tasks when flushing', function (assert) {
+    const func = sinon.mock().never();
+    const task = this.service
+      .withOptions({ deadline: 0 })
+      .schedule(() => func());
+
+    this.service.flush();
+
+    assert.ok(func.verify(), 'func is never called');
+    assert.ok(task.isCancelled, 'task is cancelled');
+  });
+
+  test('it schedules a unique task by key', async function (assert) {
+    const calls = [];
+    const task = this.service
+      .withOptions({ key: 'widget' })
+      .scheduleOnce(() => calls.push('first'));
+
+    assert.equal(
+      this.service
+        .withOptions({ key: 'widget' })
+        .scheduleOnce(() => calls.push('last')),
+      task,
+      'existing task is returned'
+    );
+
+    await settled();
+
+    assert.deepEqual(calls, ['last'], 'last task is run');
+  });
+
+  test('it cancels a unique task by key when all its callers give up', async function (assert) {
+    const func = sinon.mock().once();
+    const controllers = [1, 2, 3, 4].map(() => new AbortController());
+    const schedule = (key, { signal }) =>
+      this.service.withOptions({ key, signal }).scheduleOnce(() => func());
+
+    const kept = schedule('kept', controllers[0]);
+    const cancelled = schedule('cancelled', controllers[2]);
+
+    schedule('kept', controllers[1]);
+    schedule('cancelled', controllers[3]);
+
+    controllers[1].abort();
+    controllers[2].abort();
+
+    assert.ok(kept.isPending, 'task is kept while a caller wants it');
+    assert.ok(cancelled.isPending, 'task is kept after first caller gives up');
+
+    controllers[3].abort();
+
+    assert.ok(cancelled.isCancelled, 'task is cancelled by the last caller');
+
+    await settled();
+
+    assert.ok(kept.isDone, 'task of remaining caller runs');
+    assert.ok(func.verify(), 'func is called once');
+  });
+
+  test('it keeps the first unique task by key', async function (assert) {
+    const calls = [];
+
+    this.service
+      .withOptions({ key: 'widget', merge: 'first' })
+      .scheduleOnce(() => calls.push('first'));
+    this.service
+      .withOptions({ key: 'widget', merge: 'first' })
+      .scheduleOnce(() => calls.push('last'));
+
+    await settled();
+
+    assert.deepEqual(calls, ['first'], 'first task is run');
+  });
+
+  test('it merges arguments of unique tasks by key', async function (assert) {
+    const func = sinon.mock().once().withArgs(6);
+    const merge = ([current], [next]) => [current + next];
+
+    this.service.withOptions({ key: 'sum', merge }).scheduleOnce(null, func, 1);
+    this.service.withOptions({ key: 'sum', merge }).scheduleOnce(null, func, 2);
+    this.service.withOptions({ key: 'sum', merge }).scheduleOnce(null, func, 3);
+
+    await settled();
+
+    assert.ok(func.verify(), 'func is called with merged arguments');
+  });
+
+  test('it merges a unique task into a delayed task with the same key', async function (assert) {
+    const calls = [];
+    const task = this.service.debounceFrames('widget', 2, () =>
+      calls.push('first')
+    );
+
+    assert.equal(
+      this.service
+        .withOptions({ key: 'widget' })
+        .scheduleOnce(() => calls.push('last')),
+      task,
+      'delayed task is returned'
+    );
+
+    await settled();
+
+    assert.deepEqual(calls, ['last'], 'task is run once');
+  });
+
+  test('it merges a unique task into a running generator with the same key', async function (assert) {
+    let resolve;
+    const promise = new Promise((r) => (resolve = r));
+    const func = sinon.mock().never();
+
+    const task = this.service
+      .withOptions({ key: 'widget' })
+      .schedule(async function* () {
+        await promise;
+
+        yield;
+      });
+
+    await waitUntil(() => task.isRunning);
+
+    assert.equal(
+      this.service.withOptions({ key: 'widget' }).scheduleOnce(() => func()),
+      task,
+      'running task is returned'
+    );
+
+    resolve();
+
+    await settled();
+
+    assert.ok(task.isDone, 'task is done');
+    assert.ok(func.verify(), 'duplicate is not run');
+  });
+
+  test('it does not merge unique tasks of different queues', async function (assert) {
+    const func = sinon.mock().twice();
+    const context = { func };
+
+    const task1 = this.service
+      .withOptions({ queue: 'charts' })
+      .scheduleOnce(context, 'func');
+    const task2 = this.service
+      .withOptions({ queue: 'analytics' })
+      .scheduleOnce(context, 'func');
+
+    assert.notEqual(task1, task2, 'handles are different');
+
+    await settled();
+
+    assert.ok(func.verify(), 'func is called on each queue');
+  });
+
+  test('it cancels tasks by key', function (assert) {
+    const task1 = this.service
+      .withOptions({ key: 'widget' })
+      .schedule(() => {});
+    const task2 = this.service
+      .withOptions({ key: 'widget' })
+      .schedule(() => {});
+    const task3 = this.service.withOptions({ key: 'other' }).schedule(() => {});
+
+    assert.deepEqual(
+      this.service.withOptions({ key: 'widget' }).cancel(),
+      [task1, task2],
+      'tasks with key are cancelled'
+    );
+    assert.ok(task3.isPending, 'other tasks are kept');
+  });
+
+  test('it throws an error with an unknown merge strategy', function (assert) {
+    assert.throws(() => {
+      this.service
+        .withOptions({ key: 'widget', merge: 'foo' })
+        .scheduleOnce(() => {});
+    }, /Could not find a valid merge strategy: foo/);
+  });
+
+  test('it debounces tasks by frames', async function (assert) {
+    const calls = [];
+    let frame;
+
+    const task = this.service.debounceFrames('resize', 2, () =>
+      calls.push('first')
+    );
+
+    assert.equal(
+      this.service.debounceFrames('resize', 2, () => {
+        frame = this.service._frame;
+        calls.push('last');
+      }),
+      task,
+      'existing task is returned'
+    );
+
+    const startFrame = this.service._frame;
+
+    await settled();
+
+    assert.deepEqual(calls, ['last'], 'last task is run once');
+    assert.equal(frame, startFrame + 2, 'task runs after quiet frames');
+  });
+
+  test('it merges a debounced task into a blocked task with the same key', async function (assert) {
+    const calls = [];
+    const dependency = this.service.schedule(() => calls.push('dependency'));
+    const task = this.service
+      .withOptions({ dependsOn: dependency })
+      .debounceFrames('resize', 2, () => calls.push('first'));
+
+    assert.equal(
+      this.service.debounceFrames('resize', 2, () => calls.push('last')),
+      task,
+      'blocked task is returned'
+    );
+
+    await settled();
+
+    assert.ok(task.isDone, 'task is done');
+    assert.deepEqual(calls, ['dependency', 'last'], 'last task is run once');
+  });
+
+  test('it throttles tasks by frames while the loop is stopped', async function (assert) {
+    const service = this.service;
+    const frames = [];
+    const func = () => frames.push(service._frame);
+
+    service.throttleFrames('scroll', 5, func);
+
+    await settled();
+
+    assert.notOk(service.hasPendingTasks(), 'loop is stopped');
+
+    service.throttleFrames('scroll', 5, func);
+
+    await settled();
+
+    assert.equal(frames.length, 2, 'both calls run');
+    assert.equal(frames[1] - frames[0], 5, 'second call waits for 5 frames');
+  });
+
+  test('it cancels debounced tasks', async function (assert) {
+    const func = sinon.mock().never();
+    const task = this.service.debounceFrames('resize', 100, () => func());
+
+    assert.ok(this.service.hasPendingTasks(), 'task is pending');
+    assert.deepEqual(
+      this.service.withOptions({ key: 'resize' }).cancel(),
+      [task],
+      'task is cancelled'
+    );
+
+    await settled();
+
+    assert.ok(func.verify(), 'func is never called');
+  });
+
+  test('it flushes debounced tasks', function (assert) {
+    const func = sinon.mock().once();
+
+    this.service.debounceFrames('resize', 100, () => func());
+    this.service.flush();
+
+    assert.ok(func.verify(), 'func is called');
+  });
+
+  test('it schedules a recurring task', async function (assert) {
+    const frames = [];
+    const task = this.service
+      .withOptions({ everyNFrames: 2 })
+      .scheduleRecurring(() => frames.push(this.service._frame));
+
+    assert.ok(task instanceof RecurringTask, 'it returns a recurring task');
+
+    await waitUntil(() => frames.length === 3);
+
+    assert.ok(task.isPending, 'task is pending');
+    assert.equal(task.runs, 3, 'task has run three times');
+    assert.deepEqual(
+      [frames[1] - frames[0], frames[2] - frames[1]],
+      [2, 2],
+      'task runs every 2 frames'
+    );
+
+    task.stop();
+
+    assert.ok(task.isCancelled, 'task is stopped');
+    assert.notOk(this.service.hasPendingTasks(), 'task is removed');
+  });
+
+  test('it does not wait for recurring tasks when settled', async function (assert) {
+    const func = sinon.spy();
+    const task = this.service.scheduleRecurring(() => {});
+
+    this.service.schedule(() => func());
+
+    await settled();
+
+    assert.ok(func.calledOnce, 'other tasks are waited');
+    assert.ok(task.isPending, 'recurring task keeps running');
+
+    task.stop();
+  });
+
+  test('it runs a recurring task a maximum number of times', async function (assert) {
+    const func = sinon.mock().thrice();
+    const task = this.service
+      .withOptions({ maxRuns: 3, waiter: true })
+      .scheduleRecurring(() => func());
+
+    await settled();
+
+    assert.ok(func.verify(), 'func is called three times');
+    assert.ok(task.isDone, 'task is done');
+  });
+
+  test('it cancels a recurring task', async function (assert) {
+    const func = sinon.mock().never();
+    const task = this.service.scheduleRecurring(() => func());
+
+    assert.deepEqual(this.service.cancel(task), [task], 'task is cancelled');
+
+    await settled();
+
+    assert.ok(func.verify(), 'func is never called');
+  });
+
+  test('it stops a recurring task from its callback', async function (assert) {
+    const task = this.service
+      .withOptions({ waiter: true })
+      .scheduleRecurring(() => {
+        if (task.runs === 1) {
+          task.stop();
+        }
+      });
+
+    await settled();
+
+    assert.equal(task.runs, 2, 'task does not run after it is stopped');
+    assert.ok(task.isCancelled, 'task is cancelled');
+    assert.notOk(this.service.hasPendingTasks(), 'no task is pending');
+  });
+
+  test('it runs tasks after their dependencies', async function (assert) {
+    const calls = [];
+    const header = this.service
+      .withOptions({ priority: 'background' })
+      .schedule(() => calls.push('header'));
+
+    this.service
+      .withOptions({ key: 'grid', dependsOn: header })
+      .schedule(() => calls.push('grid'));
+
+    const overlay = this.service
+      .withOptions({ priority: 'user-blocking', dependsOn: 'grid' })
+      .schedule(() => calls.push('overlay'));
+
+    assert.ok(this.service.hasPendingTasks(), 'blocked tasks are pending');
+
+    await settled();
+
+    assert.deepEqual(
+      calls,
+      ['header', 'grid', 'overlay'],
+      'tasks run after their dependencies'
+    );
+    assert.ok(overlay.isDone, 'task is done');
+  });
+
+  test('it runs a task after its dependency by key has finished', async function (assert) {
+    const calls = [];
+    const grid = this.service
+      .withOptions({ key: 'grid' })
+      .schedule(() => calls.push('grid'));
+
+    await waitUntil(() => grid.isDone);
+
+    const overlay = this.service
+      .withOptions({ dependsOn: ['grid', 'header'] })
+      .schedule(() => calls.push('overlay'));
+
+    assert.notOk(
+      this.service._blocked.has(overlay),
+      'finished and unknown keys do not block the task'
+    );
+
+    await settled();
+
+    assert.deepEqual(calls, ['grid', 'overlay'], 'tasks run in order');
+    assert.ok(overlay.isDone, 'task is done');
+    assert.notOk(this.service.hasPendingTasks(), 'no task is pending');
+  });
+
+  test('it waits for a running task by key', async function (assert) {
+    const calls = [];
+    const service = this.service;
+
+    this.service.withOptions({ key: 'grid' }).schedule(function* () {
+      service
+        .withOptions({ dependsOn: 'grid' })
+        .schedule(() => calls.push('overlay'));
+
+      yield;
+
+      calls.push('grid');
+    });
+
+    await settled();
+
+    assert.deepEqual(calls, ['grid', 'overlay'], 'task waits for running task');
+  });
+
+  test('it cancels a task when a dependency is cancelled', async function (assert) {
+    const func = sinon.mock().never();
+    const dependency = this.service.schedule(() => func());
+    const promise = this.service
+      .withOptions({ dependsOn: dependency })
+      .scheduleAsync(() => func());
+
+    this.service.cancel(dependency);
+
+    await assert.rejects(promise, TaskCancelledError, 'task is cancelled');
+
+    assert.ok(func.verify(), 'func is never called');
+  });
+
+  test('it fails a task when a dependency fails', async function (assert) {
+    const error = new Error('foo');
+    const func = sinon.mock().never();
+    const dependency = this.service.scheduleAsync(() => {
+      throw error;
+    });
+    const promise = this.service
+      .withOptions({ dependsOn: dependency })
+      .scheduleAsync(() => func());
+
+    await assert.rejects(dependency, error, 'dependency fails');
+    await assert.rejects(promise, error, 'task fails with the same error');
+
+    assert.ok(func.verify(), 'func is never called');
+  });
+
+  test('it cancels a blocked task', function (assert) {
+    const dependency = this.service.schedule(() => {});
+    const task = this.service
+      .withOptions({ dependsOn: dependency })
+      .schedule(() => {});
+
+    assert.deepEqual(this.service.cancel(task), [task], 'task is cancelled');
+  });
+
+  test('it creates a group of tasks', async function (assert) {
+    const group = this.service.createGroup();
+    const controller = new AbortController();
+
+    assert.ok(group instanceof TaskGroup, 'it returns a group');
+
+    controller.abort();
+
+    group.schedule(() => {});
+    group.schedule(() => {});
+    group.withOptions({ signal: controller.signal }).schedule(() => {});
+
+    assert.equal(group.pending, 2, 'tasks are pending');
+    assert.equal(group.cancelled, 1, 'aborted task is cancelled');
+
+    assert.equal(await group.promise, group, 'promise is resolved');
+    assert.equal(group.pending, 0, 'no task is pending');
+    assert.equal(group.completed, 2, 'tasks are completed');
+  });
+
+  test('it counts failed tasks of a group', async function (assert) {
+    const group = this.service.createGroup();
+
+    this.service.onError = () => {};
+
+    group.schedule(() => {
+      throw new Error('foo');
+    });
+    group.schedule(() => {});
+
+    await group.promise;
+
+    assert.equal(group.failed, 1, 'failed task is counted');
+    assert.equal(group.completed, 1, 'completed task is counted');
+  });
+
+  test('it cancels all tasks of a group', async function (assert) {
+    const func = sinon.mock().never();
+    const group = this.service.createGroup();
+    const task1 = group.schedule(() => func());
+    const task2 = group.schedule(() => func());
+    const task3 = this.service.schedule(() => {});
+
+    assert.deepEqual(group.cancelAll(), [task1, task2], 'tasks are cancelled');
+
+    await group.promise;
+
+    assert.ok(func.verify(), 'func is never called');
+    assert.equal(group.cancelled, 2, 'cancelled tasks are counted');
+    assert.ok(task3.isPending, 'other tasks are kept');
+  });
+
+  test('it keeps the promise of a group until its tasks finish', async function (assert) {
+    const group = this.service.createGroup();
+    const promise = group.promise;
+    let resolved = false;
+
+    promise.then(() => (resolved = true));
+
+    await this.service.scheduleAsync(() => {});
+
+    assert.notOk(resolved, 'promise waits for the first tasks');
+
+    const task = group.schedule(() => {});
+
+    assert.equal(group.promise, promise, 'promise is the same');
+    assert.equal(await promise, group, 'promise is resolved');
+    assert.ok(task.isDone, 'task is done');
+  });
+
+  test('it creates a new promise for each batch of tasks of a group', async function (assert) {
+    const group = this.service.createGroup();
+    const task1 = group.schedule(() => {});
+    const promise = group.promise;
+
+    await promise;
+
+    assert.ok(task1.isDone, 'first task is done');
+    assert.equal(group.promise, promise, 'promise is kept after resolved');
+
+    const task2 = group.schedule(() => {});
+
+    assert.notEqual(group.promise, promise, 'next batch has a new promise');
+
+    await group.promise;
+
+    assert.ok(task2.isDone, 'next task is done');
+  });
+
+  test('it calls onError option of a task on error', async function (assert) {
+    const error = new Error('foo');
+    const onError = sinon.mock().never();
+    const taskOnError = sinon.mock().once().withArgs(error);
+
+    this.service.onError = onError;
+
+    this.service.withOptions({ onError: taskOnError }).schedule(() => {
+      throw error;
+    });
+
+    await waitUntil(() => !this.service.hasPendingTasks());
+
+    assert.ok(taskOnError.verify(), 'onError option is called');
+    assert.ok(onError.verify(), 'onError hook is not called');
+  });
+
+  test('it retries a failed task with frame backoff', async function (assert) {
+    const frames = [];
+    const promise = this.service
+      .withOptions({ retries: 2, backoff: 2 })
+      .scheduleAsync(() => {
+        frames.push(this.service._frame);
+
+        if (frames.length < 3) {
+          throw new Error('foo');
+        }
+
+        return 'bar';
+      });
+
+    assert.equal(await promise, 'bar', 'task is done after retries');
+    assert.deepEqual(
+      [frames[1] - frames[0], frames[2] - frames[1]],
+      [2, 4],
+      'backoff doubles on each retry'
+    );
+  });
+
+  test('it fails a task after its retries', async function (assert) {
+    const error = new Error('foo');
+    const func = sinon.mock().thrice().throws(error);
+    const task = this.service
+      .withOptions({ retries: 2, onError() {} })
+      .schedule(() => func());
+
+    await waitUntil(() => task.isFinished);
+
+    assert.ok(func.verify(), 'task runs three times');
+    assert.ok(task.isFailed, 'task is failed');
+    assert.equal(task.attempts, 2, 'task was retried twice');
+  });
+
+  test('it cancels a task waiting for a retry', async function (assert) {
+    const task = this.service
+      .withOptions({ retries: 1, backoff: 100 })
+      .schedule(() => {
+        throw new Error('foo');
+      });
+
+    await waitUntil(() => task.attempts === 1);
+
+    assert.deepEqual(this.service.cancel(task), [task], 'task is cancelled');
+    assert.notOk(this.service.hasPendingTasks(), 'task is removed');
+  });
+
+  test('it triggers an error event', async function (assert) {
+    const error = new Error('foo');
+    const listener = sinon.spy();
+
+    this.service.on('error', listener);
+
+    const task = this.service
+      .withOptions({ key: 'bar', priority: 'background', onError() {} })
+      .schedule(() => {
+        throw error;
+      });
+
+    await waitUntil(() => task.isFinished);
+
+    assert.ok(listener.calledOnce, 'event is triggered once');
+    assert.deepEqual(
+      listener.firstCall.args[0],
+      {
+        error,
+        task,
+        id: task.id,
+        key: 'bar',
+        queue: null,
+        priority: 'background',
+        attempts: 0,
+        stack: task.stack,
+      },
+      'event has the error and task metadata'
+    );
+  });
+
+  test('it throws an error with invalid retries', function (assert) {
+    assert.throws(() => {
+      this.service.withOptions({ retries: -1 }).schedule(() => {});
+    }, /retries must be a non-negative integer/);
+  });
+
+  test('it triggers task and frame events', async function (assert) {
+    const tasks = [];
+    const frames = [];
+
+    this.service.on('task', (event) => tasks.push(event));
+    this.service.on('frame', (event) => frames.push(event));
+
+    const task1 = this.service.withOptions({ key: 'foo' }).schedule(() => {});
+    const task2 = this.service.schedule(() => {});
+
+    await waitUntil(() => !this.service.hasPendingTasks());
+
+    assert.deepEqual(
+      tasks.map(({ task }) => task),
+      [task1, task2],
+      'task events are triggered'
+    );
+    assert.equal(tasks[0].key, 'foo', 'task event has the key');
+    assert.equal(tasks[0].state, 'done', 'task event has the state');
+    assert.ok(tasks[0].waitTime >= 0, 'task event has the wait time');
+    assert.ok(tasks[0].duration >= 0, 'task event has the duration');
+    assert.equal(frames.length, 1, 'frame event is triggered');
+    assert.equal(frames[0].tasks, 2, 'frame event has the task runs');
+    assert.equal(frames[0].queueLength, 0, 'frame event has pending tasks');
+    assert.equal(
+      frames[0].budget,
+      this.service.frameBudget,
+      'frame event has the budget'
+    );
+  });
+
+  test('it uses animation frames by default', async function (assert) {
+    const requestAnimationFrame = sinon.spy(window, 'requestAnimationFrame');
+
+    await this.service.scheduleAsync(() => {});
+
+    requestAnimationFrame.restore();
+
+    assert.ok(this.service.frameDriver instanceof FrameDriver);
+    assert.notOk(this.service.frameDriver.manual, 'frames are not manual');
+    assert.ok(requestAnimationFrame.called, 'frames are animation frames');
+  });
+
+  test('it runs tasks on timers', async function (assert) {
+    const func = sinon.mock().twice();
+
+    this.service.setFrameDriver('timeout');
+
+    this.service.schedule(() => func());
+    this.service.schedule(() => func());
+
+    await settled();
+
+    assert.ok(func.verify(), 'tasks are run');
+  });
+
+  test('it runs tasks on a message channel', async function (assert) {
+    const frames = [];
+
+    this.service.setFrameDriver('message-channel');
+
+    const task = this.service
+      .withOptions({ waiter: true })
+      .scheduleRecurring(() => {
+        frames.push(this.service._frame);
+
+        if (task.runs === 1) {
+          task.stop();
+        }
+      });
+
+    await settled();
+
+    assert.deepEqual(frames, [1, 2], 'task is repeated on next frame');
+  });
+
+  test('it runs manual frames', async function (assert) {
+    const calls = [];
+
+    this.service.setFrameDriver('manual');
+
+    this.service.schedule(() => calls.push('foo'));
+    this.service.scheduleIdle(() => calls.push('bar'));
+
+    await settled();
+
+    assert.ok(
+      this.service.frameDriver instanceof ManualFrameDriver,
+      'driver is manual'
+    );
+    assert.deepEqual(calls, [], 'settled does not wait for manual frames');
+
+    this.service.frameDriver.runFrame();
+
+    assert.deepEqual(calls, ['foo', 'bar'], 'tasks run on manual frame');
+  });
+
+  test('it moves running loops to a new frame driver', async function (assert) {
+    const func = sinon.mock().once();
+
+    this.service.schedule(() => func());
+    this.service.setFrameDriver('manual');
+
+    await settled();
+
+    this.service.setFrameDriver(
+      new (class extends FrameDriver {
+        requestFrame(callback) {
+          return setTimeout(() => callback(this.now()));
+        }
+
+        cancelFrame(id) {
+          clearTimeout(id);
+        }
+      })()
+    );
+
+    await settled();
+
+    assert.ok(func.verify(), 'task runs on custom driver');
+  });
+
+  test('it posts frames as native prioritized tasks', async function (assert) {
+    const { calls, restore } = stubPostTask();
+    const tasks = [];
+
+    try {
+      this.service.setFrameDriver('post-task');
+
+      this.service
+        .withOptions({ priority: 'background' })
+        .schedule(() => tasks.push('foo'));
+      this.service
+        .withOptions({ priority: 'user-blocking' })
+        .schedule(() => tasks.push('bar'));
+
+      await settled();
+    } finally {
+      restore();
+    }
+
+    assert.deepEqual(
+      calls,
+      [
+        ['postTask', 'background'],
+        ['setPriority', 'user-blocking'],
+      ],
+      'frame is prioritized by its most urgent task'
+    );
+    assert.deepEqual(tasks, ['bar', 'foo'], 'tasks run by priority');
+  });
+
+  test('it aborts native frames without tasks', async function (assert) {
+    const { calls, restore } = stubPostTask();
+
+    try {
+      this.service.setFrameDriver('post-task');
+
+      this.service.cancel(this.service.schedule(() => {}));
+
+      await settled();
+    } finally {
+      restore();
+    }
+
+    assert.deepEqual(
+      calls,
+      [['postTask', 'user-visible'], ['abort']],
+      'frame is aborted'
+    );
+  });
+
+  test('it falls back without native prioritized tasks', async function (assert) {
+    const { restore } = stubPostTask();
+    const func = sinon.mock().once();
+
+    try {
+      window.scheduler = undefined;
+
+      this.service.setFrameDriver('post-task');
+    } finally {
+      restore();
+    }
+
+    assert.notOk(this.service.frameDriver.prioritizeFrame, 'it falls back');
+
+    this.service.schedule(() => func());
+
+    await settled();
+
+    assert.ok(func.verify(), 'task runs');
+  });
+
+  test('it throws an error with an unknown frame driver', function (assert) {
+    assert.throws(() => {
+      this.service.setFrameDriver('foo');
+    }, /Could not find a valid frame driver: foo/);
+  });
+
+  test('it runs sync tasks on the server', function (assert) {
+    setupFastBoot(this.owner);
+
+    const service = this.owner.factoryFor('service:scheduler').create();
+    const func = sinon.mock().once();
+    const task = service.withOptions({ ssr: 'sync' }).schedule(() => func());
+
+    assert.ok(func.verify(), 'task runs now');
+    assert.ok(task.isDone, 'task is done');
+    assert.notOk(service.hasPendingTasks(), 'no task is pending');
+  });
+
+  test('it defers rendering on the server', async function (assert) {
+    const promises = setupFastBoot(this.owner);
+    const service = this.owner.factoryFor('service:scheduler').create();
+    const task1 = service.schedule(() => {});
+    const task2 = service.scheduleIdle(() => {});
+
+    assert.equal(promises.length, 2, 'rendering is deferred');
+
+    await Promise.all(promises);
+
+    assert.ok(task1.isDone, 'task is done');
+    assert.ok(task2.isDone, 'idle task is done');
+  });
+
+  test('it drops tasks on the server', function (assert) {
+    const promises = setupFastBoot(this.owner);
+    const service = this.owner.factoryFor('service:scheduler').create();
+    const func = sinon.mock().never();
+    const task = service.withOptions({ ssr: 'drop' }).schedule(() => func());
+    const recurringTask = service.scheduleRecurring(() => func());
+
+    assert.ok(task.isCancelled, 'task is cancelled');
+    assert.ok(recurringTask.isCancelled, 'recurring task is cancelled');
+    assert.equal(promises.length, 0, 'rendering is not deferred');
+    assert.ok(func.verify(), 'func is never called');
+  });
+
+  test('it ignores SSR policies on the browser', async function (assert) {
+    const func = sinon.mock().once();
+
+    this.service.withOptions({ ssr: 'drop' }).schedule(() => func());
+
+    await settled();
+
+    assert.ok(func.verify(), 'task runs');
+  });
+
+  test('it throws an error with an unknown SSR policy', function (assert) {
+    assert.throws(() => {
+      this.service.withOptions({ ssr: 'foo' }).schedule(() => {});
+    }, /Could not find a valid SSR policy: foo/);
+  });
+
+  test('it runs other tasks while an async function yields', async function (assert) {
+    const calls = [];
+
+    this.service.schedule(async () => {
+      calls.push('foo');
+
+      await this.service.yield();
+
+      calls.push('baz');
+    });
+    this.service.schedule(() => calls.push('bar'));
+
+    await settled();
+
+    assert.deepEqual(calls, ['foo', 'bar', 'baz'], 'function is resumed');
+    assert.notOk(this.service.hasPendingTasks(), 'no task is pending');
+  });
+
+  test('it resumes further yields of idle tasks while idle', async function (assert) {
+    const calls = [];
+
+    this.service.scheduleIdle(async () => {
+      for (let i = 0; i < 3; i++) {
+        await this.service.yield();
+
+        calls.push(i);
+      }
+    });
+
+    await settled();
+
+    assert.deepEqual(calls, [0, 1, 2], 'function is resumed');
+    assert.notOk(this.service.hasPendingTasks(), 'no task is pending');
+  });
+
+  test('it carries the options of a yield forward', async function (assert) {
+    const service = this.service;
+    const yields = [];
+
+    service.on('task', ({ task, queue, priority }) => {
+      if (task.isYield) {
+        yields.push([queue, priority]);
+      }
+    });
+
+    const task = service
+      .withOptions({ queue: 'charts', priority: 'background' })
+      .schedule(async () => {
+        for (let i = 0; i < 3; i++) {
+          await service.yield(task);
+        }
+      });
+
+    await settled();
+
+    assert.deepEqual(
+      yields,
+      [
+        ['charts', 'background'],
+        ['charts', 'background'],
+        ['charts', 'background'],
+      ],
+      'options are kept after each await'
+    );
+  });
+
+  test('it yields with the options of current task', function (assert) {
+    const service = this.service;
+    const cancelYield = (options = {}) => {
+      const promise = service.withOptions(options).yield();
+
+      promise.catch(() => {});
+
+      return service.cancel(promise)[0];
+    };
+    let inherited;
+    let overridden;
+
+    service
+      .withOptions({ queue: 'charts', priority: 'background' })
+      .schedule(() => {
+        inherited = cancelYield();
+        overridden = cancelYield({ priority: 'user-blocking' });
+      });
+
+    service.flush();
+
+    assert.equal(inherited.queue.name, 'charts', 'queue is inherited');
+    assert.equal(inherited.priority, 'background', 'priority is inherited');
+    assert.equal(overridden.queue.name, 'charts', 'queue is kept');
+    assert.equal(
+      overridden.priority,
+      'user-blocking',
+      'priority is overridden'
+    );
+
+    const task = cancelYield();
+
+    assert.equal(
+      task.queue,
+      service._queue,
+      'default queue is used outside tasks'
+    );
+    assert.equal(task.priority, 'user-visible', 'default priority is used');
+  });
+
+  test('it rejects a yield when signal is aborted', async function (assert) {
+    const controller = new AbortController();
+
+    const promise = this.service
+      .withOptions({ signal: controller.signal })
+      .yield();
+
+    controller.abort();
+
+    await assert.rejects(promise, TaskCancelledError, 'promise is rejected');
+  });
+
+  test('it stops an async function when its destroyable is destroyed', async function (assert) {
+    const func = sinon.mock().never();
+    const destroyable = {};
+    let error;
+
+    this.service.withOptions({ destroyable }).schedule(async () => {
+      const promise = this.service.yield();
+
+      destroy(destroyable);
+
+      try {
+        await promise;
+
+        func();
+      } catch (e) {
+        error = e;
+      }
+    });
+
+    await settled();
+
+    assert.ok(error instanceof TaskCancelledError, 'yield is rejected');
+    assert.ok(func.verify(), 'function is not resumed');
+  });
+
+  test('it throws an error when yield is not given a task', function (assert) {
+    assert.throws(() => {
+      this.service.yield({ priority: 'background' });
+    }, /Could not yield. Task must be a task handle/);
+  });
+
+  test('it does not take the context of a task after it awaits', async function (assert) {
+    const service = this.service;
+    let task;
+
+    service.withOptions({ queue: 'charts' }).schedule(async () => {
+      await Promise.resolve();
+
+      const promise = service.yield();
+
+      promise.catch(() => {});
+
+      [task] = service.cancel(promise);
+    });
+
+    await settled();
+
+    assert.equal(task.queue, service._queue, 'default queue is used');
+  });
+
+  test('it cancels an async function when its yield is cancelled', async function (assert) {
+    const func = sinon.mock().never();
+    const onError = sinon.mock().never();
+    const destroyable = {};
+
+    this.service.onError = onError;
+
+    const task = this.service
+      .withOptions({ destroyable })
+      .schedule(async () => {
+        const promise = this.service.yield();
+
+        destroy(destroyable);
+
+        await promise;
+
+        func();
+      });
+
+    await settled();
+
+    assert.ok(task.isCancelled, 'task is cancelled');
+    assert.ok(func.verify(), 'function is not resumed');
+    assert.ok(onError.verify(), 'cancellation is not an error');
+  });
+
+  test('it rejects the yields of a cancelled task', async function (assert) {
+    const func = sinon.mock().never();
+    const service = this.service;
+    let resume;
+    let task;
+    let yielded = false;
+
+    const promise = new Promise((resolve) => (resume = resolve));
+
+    task = service.schedule(async () => {
+      await service.yield();
+
+      yielded = true;
+
+      await promise;
+      await service.yield(task);
+
+      func();
+    });
+
+    await waitUntil(() => yielded);
+
+    assert.deepEqual(service.cancel(task), [task], 'running task is cancelled');
+
+    resume();
+
+    await settled();
+
+    assert.ok(task.isCancelled, 'task is cancelled');
+    assert.ok(func.verify(), 'function is not resumed');
+  });
+
+  test('it fails an async function that throws after a yield', async function (assert) {
+    const error = new Error('foo');
+    const onError = sinon.mock().once().withArgs(error);
+    const errorEvent = sinon.mock().once();
+    const service = this.service;
+    let attempts = 0;
+
+    service.on('error', errorEvent);
+
+    const task = service
+      .withOptions({ onError, retries: 1 })
+      .schedule(async () => {
+        attempts++;
+
+        await service.yield(task);
+
+        throw error;
+      });
+
+    await settled();
+
+    assert.ok(task.isFailed, 'task is failed');
+    assert.equal(attempts, 2, 'task is retried');
+    assert.ok(onError.verify(), 'onError is called');
+    assert.ok(errorEvent.verify(), 'error event is triggered');
+  });
+
+  test('it settles the task of an async function with its promise', async function (assert) {
+    const service = this.service;
+    let suspended;
+
+    const value = await service.scheduleAsync(async () => {
+      await service.yield();
+
+      suspended = service._suspended.size;
+
+      return 'foo';
+    });
+
+    assert.equal(value, 'foo', 'promise is resolved with the value');
+    assert.equal(suspended, 1, 'task is pending while awaited');
+  });
+
+  test('it waits for settled', async function (assert) {
+    const func = sinon.mock().thrice();
+
+    this.service.schedule(func);
+    this.service.schedule(func);
+    this.service.schedule(func);
+
+    await settled();
+
+    assert.ok(func.verify(), 'func is called with arguments');
+  });
+});
+
+module('Unit | Service | scheduler | frames', (hooks) => {
+  setupTest(hooks);
+  setupScheduler(hooks);
+
+  hooks.beforeEach(function () {
+    this.service = this.owner.factoryFor('service:scheduler').create({
+      onError(e) {
+        throw e;
+      },
+    });
+  });
+
+  test('it schedules heavy tasks on several frames', async function (assert) {
+    const frames = [];
+
+    this.service.schedule(() => {
+      frames.push(this.service._frame);
+      advanceTime(20);
+    });
+    this.service.schedule(() => frames.push(this.service._frame));
+
+    await advanceFrames(2);
+
+    assert.deepEqual(frames, [1, 2], 'function executes on next frame');
+  });
+
+  test('it resumes generator tasks on several frames', async function (assert) {
+    const frames = [];
+    const service = this.service;
+    let value;
+
+    service
+      .scheduleAsync(function* () {
+        for (let i = 0; i < 3; i++) {
+          frames.push(service._frame);
+          advanceTime(20);
+
+          yield;
+        }
+
+        return 'foo';
+      })
+      .then((result) => (value = result));
+
+    await advanceFrames(3);
+
+    assert.deepEqual(frames, [1, 2, 3], 'generator runs a chunk on each frame');
+    assert.equal(value, undefined, 'generator is not done yet');
+
+    await runNextFrame();
+
+    assert.equal(value, 'foo', 'generator returned value is resolved');
+  });
+
+  test('it runs other tasks between generator frames', async function (assert) {
+    const calls = [];
+
+    this.service.schedule(function* () {
+      calls.push('first');
+      advanceTime(20);
+
+      yield;
+
+      calls.push('last');
+    });
+    this.service.schedule(() => calls.push('other'));
+
+    await runNextFrame();
+
+    assert.deepEqual(calls, ['first'], 'generator uses the whole frame');
+
+    await runNextFrame();
+
+    assert.deepEqual(
+      calls,
+      ['first', 'other', 'last'],
+      'tasks are not starved'
+    );
+  });
+
+  test('it closes a generator task when it is cancelled', async function (assert) {
+    let closed = false;
+
+    const task = this.service.schedule(function* () {
+      try {
+        for (;;) {
+          advanceTime(20);
+
+          yield;
+        }
+      } finally {
+        closed = true;
+      }
+    });
+
+    await runNextFrame();
+
+    assert.ok(task.isRunning, 'task is running');
+
+    this.service.cancel(task);
+
+    assert.ok(task.isCancelled, 'task is cancelled');
+    assert.ok(closed, 'generator is closed');
+  });
+
+  test('it resumes generator reads on next frames', async function (assert) {
+    const frames = [];
+    const service = this.service;
+
+    const task = service.scheduleRead(function* () {
+      for (let i = 0; i < 3; i++) {
+        frames.push(service._frame);
+        advanceTime(20);
+
+        yield;
+      }
+    });
+
+    await advanceFrames(3);
+
+    assert.deepEqual(frames, [1, 2, 3], 'generator runs a chunk on each frame');
+    assert.ok(task.isRunning, 'task is running');
+
+    await runNextFrame();
+
+    assert.ok(task.isDone, 'task is done');
+  });
+
+  test('it measures frames with an adaptive frame budget', async function (assert) {
+    const frameMeter = new FrameMeter();
+
+    this.service._frameMeter = frameMeter;
+
+    this.service.schedule(function* () {
+      for (let i = 0; i < 3; i++) {
+        advanceTime(20);
+
+        yield;
+      }
+    });
+
+    await advanceFrames(2, { elapsed: 20 });
+
+    assert.equal(frameMeter.interval, 40, 'frame interval is measured');
+    assert.equal(frameMeter.browserTime, 0, 'browser time is measured');
+    assert.equal(this.service.frameBudget, 36, 'budget fits in the frame');
+
+    await runNextFrame({ elapsed: 20 });
+
+    assert.notOk(this.service.hasPendingTasks(), 'task is done');
+    assert.equal(frameMeter.lastFrame, null, 'meter is reset');
+  });
+
+  test('it drops tasks whose deadline has passed', async function (assert) {
+    const func = sinon.mock().never();
+    const onExpire = sinon.spy();
+
+    this.service.onExpire = onExpire;
+
+    this.service
+      .withOptions({ priority: 'user-blocking' })
+      .schedule(() => advanceTime(20));
+
+    const task = this.service
+      .withOptions({ deadline: 20 })
+      .schedule(() => func());
+    const promise = this.service
+      .withOptions({ deadline: 20 })
+      .scheduleAsync(() => func());
+
+    await runNextFrame();
+
+    assert.ok(task.isPending, 'task waits for next frame');
+
+    await runNextFrame();
+
+    await assert.rejects(promise, TaskExpiredError, 'promise is rejected');
+
+    assert.ok(func.verify(), 'func is never called');
+    assert.ok(task.isCancelled, 'task is cancelled');
+    assert.ok(onExpire.calledWith(task), 'onExpire is called with task');
+    assert.ok(onExpire.calledTwice, 'onExpire is called for each task');
+  });
+
+  test('it promotes tasks nearing their max wait', async function (assert) {
+    const calls = [];
+
+    for (let i = 0; i < 3; i++) {
+      this.service.withOptions({ priority: 'user-blocking' }).schedule(() => {
+        advanceTime(20);
+        calls.push('user-blocking');
+      });
+    }
+
+    const task = this.service
+      .withOptions({ priority: 'background', maxWait: 40 })
+      .schedule(() => calls.push('background'));
+
+    await runNextFrame();
+
+    assert.deepEqual(calls, ['user-blocking'], 'urgent task runs first');
+    assert.notOk(task.promoted, 'task is not promoted yet');
+
+    await advanceFrames(2);
+
+    assert.deepEqual(
+      calls,
+      ['user-blocking', 'background', 'user-blocking', 'user-blocking'],
+      'task runs ahead of others'
+    );
+    assert.ok(task.promoted, 'task is promoted');
+  });
+
+  test('it throttles tasks by frames', async function (assert) {
+    const service = this.service;
+    const frames = [];
+    const args = [];
+    const func = (arg) => {
+      frames.push(service._frame);
+      args.push(arg);
+    };
+
+    // Throttled tasks run ahead of the generator.
+    service.withOptions({ priority: 'background' }).schedule(function* () {
+      for (let i = 0; i < 6; i++) {
+        service.throttleFrames('scroll', 3, null, func, i);
+
+        advanceTime(20);
+
+        yield;
+      }
+    });
+
+    await advanceFrames(8);
+
+    assert.deepEqual(frames, [2, 5, 8], 'task runs once every 3 frames');
+    assert.deepEqual(args, [0, 3, 5], 'last call before each run is used');
+    assert.notOk(service.hasPendingTasks(), 'no task is pending');
+  });
+
+  test('it measures wait time on the first run of a task', async function (assert) {
+    const waitTimes = [];
+
+    this.service.on('task', ({ waitTime }) => waitTimes.push(waitTime));
+
+    this.service.schedule(function* () {
+      yield;
+      advanceTime(20);
+      yield;
+    });
+
+    await runNextFrame({ elapsed: 10 });
+
+    assert.deepEqual(waitTimes, [10], 'first run has a wait time');
+
+    await runNextFrame();
+
+    assert.deepEqual(waitTimes, [10, null], 'next runs have no wait time');
+  });
+
+  test('it returns stats', async function (assert) {
+    this.service.schedule(() => {});
+    this.service.schedule(() => advanceTime(20));
+    this.service.withOptions({ priority: 'background' }).schedule(() => {});
+
+    assert.equal(this.service.stats.queueLength, 3, 'tasks are pending');
+
+    await advanceFrames(2, { elapsed: 10 });
+
+    const { stats } = this.service;
+
+    assert.equal(stats.tasks, 3, 'task runs are counted');
+    assert.equal(stats.frames, 2, 'frames are counted');
+    assert.equal(stats.framesOverBudget, 1, 'frames over budget are counted');
+    assert.equal(stats.tasksPerFrame, 1.5, 'tasks per frame are averaged');
+    assert.equal(stats.maxTasksPerFrame, 2, 'max tasks per frame');
+    assert.equal(stats.averageDuration, 20 / 3, 'average duration');
+    assert.equal(stats.maxDuration, 20, 'max duration');
+    assert.equal(stats.averageWaitTime, 20, 'average wait time');
+    assert.equal(stats.maxWaitTime, 40, 'max wait time');
+    assert.equal(stats.queueLength, 0, 'no task is pending');
+
+    this.service.resetStats();
+
+    assert.equal(this.service.stats.tasks, 0, 'stats are reset');
+  });
+
+  test('it leaves the rest of the frame to a resumed async function', async function (assert) {
+    const service = this.service;
+    const frames = {};
+
+    service.schedule(async () => {
+      await service.yield();
+
+      frames.resumed = service._frame;
+    });
+    service.schedule(() =>
+      service.schedule(() => (frames.next = service._frame))
+    );
+
+    await advanceFrames(2);
+
+    assert.deepEqual(
+      frames,
+      { resumed: 1, next: 2 },
+      'next task waits a frame'
+    );
+  });
+
+  test('it resumes further yields on the same frame', async function (assert) {
+    const service = this.service;
+    const frames = [];
+
+    service.schedule(async () => {
+      for (let i = 0; i < 3; i++) {
+        await service.yield();
+
+        frames.push(service._frame);
+      }
+    });
+
+    await runNextFrame();
+
+    assert.deepEqual(frames, [1, 1, 1], 'yields are resumed on the same frame');
+    assert.notOk(service.hasPendingTasks(), 'no task is pending');
+  });
+
+  test('it resumes further yields on next frames once the budget is spent', async function (assert) {
+    const service = this.service;
+    const frames = [];
+
+    service.schedule(async () => {
+      for (let i = 0; i < 3; i++) {
+        await service.yield();
+
+        frames.push(service._frame);
+        advanceTime(20);
+      }
+    });
+
+    await advanceFrames(3);
+
+    assert.deepEqual(frames, [1, 2, 3], 'each yield is resumed on next frame');
+    assert.notOk(service.hasPendingTasks(), 'no task is pending');
   });
 });
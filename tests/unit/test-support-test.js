@@ -0,0 +1,127 @@
+/* eslint no-magic-numbers:0 */
+import { module, test } from 'qunit';
+import { setupTest } from 'ember-qunit';
+import { settled } from '@ember/test-helpers';
+import {
+  setupScheduler,
+  advanceTime,
+  advanceFrames,
+  runNextFrame,
+  flushScheduler,
+} from 'ember-task-scheduler/test-support';
+
+module('Unit | Test support', (hooks) => {
+  setupTest(hooks);
+  setupScheduler(hooks);
+
+  hooks.beforeEach(function () {
+    this.service = this.owner.lookup('service:scheduler');
+  });
+
+  test('it runs frames on demand', async function (assert) {
+    const calls = [];
+
+    this.service.schedule(() => calls.push('foo'));
+
+    await settled();
+
+    assert.deepEqual(calls, [], 'settled does not run frames');
+
+    await runNextFrame();
+
+    assert.deepEqual(calls, ['foo'], 'task runs on next frame');
+    assert.notOk(this.service.hasPendingTasks(), 'no task is pending');
+  });
+
+  test('it splits tasks into frames by their duration', async function (assert) {
+    const calls = [];
+
+    this.service.schedule(() => {
+      calls.push('foo');
+      advanceTime(20);
+    });
+    this.service.schedule(() => calls.push('bar'));
+
+    await runNextFrame();
+
+    assert.deepEqual(calls, ['foo'], 'slow task uses the whole frame');
+
+    await runNextFrame();
+
+    assert.deepEqual(calls, ['foo', 'bar'], 'next task runs on next frame');
+  });
+
+  test('it advances a number of frames', async function (assert) {
+    const frames = [];
+
+    const service = this.service;
+
+    service.schedule(function* () {
+      frames.push(service._frame);
+      advanceTime(20);
+
+      yield;
+
+      frames.push(service._frame);
+      advanceTime(20);
+
+      yield;
+
+      frames.push(service._frame);
+    });
+
+    await advanceFrames(3);
+
+    assert.deepEqual(frames, [1, 2, 3], 'task runs a chunk on each frame');
+    assert.notOk(this.service.hasPendingTasks(), 'task is done');
+  });
+
+  test('it runs frames with an elapsed time', async function (assert) {
+    const calls = [];
+
+    this.service
+      .withOptions({ queue: 'charts' })
+      .schedule(() => calls.push('foo'));
+    this.service
+      .withOptions({ queue: 'charts' })
+      .schedule(() => calls.push('bar'));
+
+    await runNextFrame();
+
+    assert.deepEqual(calls, ['foo'], 'task runs on first frame');
+
+    await runNextFrame({ elapsed: 10 });
+
+    assert.deepEqual(calls, ['foo'], 'queue waits for its interval');
+
+    await runNextFrame({ elapsed: 30 });
+
+    assert.deepEqual(calls, ['foo', 'bar'], 'queue runs after its interval');
+  });
+
+  test('it runs idle tasks after frames', async function (assert) {
+    const calls = [];
+
+    this.service.scheduleIdle(() => calls.push('foo'));
+
+    await settled();
+
+    assert.deepEqual(calls, [], 'idle task waits for a frame');
+
+    await runNextFrame();
+
+    assert.deepEqual(calls, ['foo'], 'idle task runs after frame');
+  });
+
+  test('it flushes the scheduler', async function (assert) {
+    const calls = [];
+
+    this.service.schedule(() => calls.push('foo'));
+    this.service.scheduleIdle(() => calls.push('bar'));
+
+    await flushScheduler();
+
+    assert.deepEqual(calls, ['foo', 'bar'], 'tasks are flushed');
+    assert.notOk(this.service.hasPendingTasks(), 'no task is pending');
+  });
+});